@@ -0,0 +1,105 @@
+// Role-based access control, scoped to directorate subsystems.
+// A user's roles are a map of role -> subsystems it applies to, e.g.
+//   { "approver": ["AOCS"], "auditor": ["*"] }
+// "*" covers every subsystem, including old rows that were filed without one.
+
+const SUBSYSTEMS = ['EPS', 'AOCS', 'CNDS'];
+
+const ROLES = {
+    requester: 'Raise and edit issue requests',
+    storekeeper: 'Record and edit storage receipts',
+    systemManager: 'View, edit and delete pending requests; approve at the System Manager step',
+    storeOfficer: 'Approve requests at the Store Officer step',
+    industryLiaison: 'Approve issues to industry partners',
+    approver: 'Approve or reject pending requests at the Directorate Head step',
+    auditor: 'Read-only access, including the audit journal'
+};
+
+// Roles for accounts that have none set in users.json / admin_users.json.
+// Scientists may only raise requests; storekeeper is granted explicitly so the
+// same person can't both request and hand over stock. Admins hold every role of
+// the default approval chains, so requests can still be approved before roles are set.
+const DEFAULT_ROLES = {
+    user: { requester: ['*'] },
+    admin: { systemManager: ['*'], storeOfficer: ['*'], industryLiaison: ['*'], approver: ['*'], auditor: ['*'] }
+};
+
+// Clean up a roles map from a request body or users file.
+// Returns { roles } or { error } describing the first problem found.
+function normalizeRoles(roles) {
+    if (!roles || typeof roles !== 'object' || Array.isArray(roles)) {
+        return { error: 'Roles must be an object of role -> subsystems' };
+    }
+
+    const normalized = {};
+    for (const [role, scope] of Object.entries(roles)) {
+        if (!Object.prototype.hasOwnProperty.call(ROLES, role)) {
+            return { error: `Unknown role "${role}". Use one of: ${Object.keys(ROLES).join(', ')}` };
+        }
+        if (!Array.isArray(scope) || scope.length === 0) {
+            return { error: `Role "${role}" needs at least one subsystem (${SUBSYSTEMS.join(', ')} or *)` };
+        }
+
+        const subsystems = scope.map(subsystem => subsystem.toString().trim().toUpperCase());
+        const unknown = subsystems.filter(subsystem => subsystem !== '*' && !SUBSYSTEMS.includes(subsystem));
+        if (unknown.length > 0) {
+            return { error: `Unknown subsystem(s) for ${role}: ${unknown.join(', ')}` };
+        }
+
+        normalized[role] = subsystems.includes('*') ? ['*'] : [...new Set(subsystems)];
+    }
+
+    return { roles: normalized };
+}
+
+// Roles of a stored account
+function rolesOf(user) {
+    if (user.roles) {
+        const { roles } = normalizeRoles(user.roles);
+        if (roles) return roles;
+    }
+    return DEFAULT_ROLES[user.role] || {};
+}
+
+// Subsystem (EPS / AOCS / CNDS) a request or row belongs to, or null if it has none.
+// Accepts an inventory row or a bare request type value such as "aocs".
+function subsystemOf(itemOrValue) {
+    const value = itemOrValue && typeof itemOrValue === 'object' ? itemOrValue['Request Text'] : itemOrValue;
+    if (value === undefined || value === null) return null;
+    const subsystem = value.toString().trim().toUpperCase();
+    return SUBSYSTEMS.includes(subsystem) ? subsystem : null;
+}
+
+function hasRole(roles, role) {
+    return Boolean(roles && roles[role] && roles[role].length > 0);
+}
+
+// True if `role` is held for the given subsystem (null = unfiled, needs "*")
+function canAccess(roles, role, subsystem) {
+    if (!hasRole(roles, role)) return false;
+    const scope = roles[role];
+    return scope.includes('*') || (subsystem !== null && scope.includes(subsystem));
+}
+
+// True if any of `roleList` is held for the subsystem of every given row
+function canAccessRows(roles, roleList, rows) {
+    return rows.every(item => roleList.some(role => canAccess(roles, role, subsystemOf(item))));
+}
+
+// Every role can read the rows of the subsystems it covers
+function canView(roles, item) {
+    return Object.keys(roles || {}).some(role => canAccess(roles, role, subsystemOf(item)));
+}
+
+module.exports = {
+    SUBSYSTEMS,
+    ROLES,
+    DEFAULT_ROLES,
+    normalizeRoles,
+    rolesOf,
+    subsystemOf,
+    hasRole,
+    canAccess,
+    canAccessRows,
+    canView
+};
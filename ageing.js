@@ -0,0 +1,77 @@
+// Ageing of requests waiting for approval.
+// A request's age is how long it has waited at its current approval step:
+// since it was submitted, or since the last approval of its waiting lines.
+// Past overdueDays it is flagged as overdue; past escalateDays it is escalated
+// to the next step of its chain, whose approvers may then decide it in place of
+// the step it is stuck at. A request stuck at the last step has no one higher
+// to escalate to and stays overdue.
+
+const settings = {
+    overdueDays: 3,
+    escalateDays: 7
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function configureAgeing(options = {}) {
+    Object.assign(settings, options);
+}
+
+function thresholds() {
+    return { overdueDays: settings.overdueDays, escalateDays: settings.escalateDays };
+}
+
+// Milliseconds of a stored time; a bare date (YYYY-MM-DD) is the start of that day
+function momentOf(value) {
+    const text = (value || '').toString().trim();
+    return Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00` : text);
+}
+
+// When a line was last submitted, from its State History (or its Date for rows
+// from before the lifecycle)
+function submittedAt(item) {
+    const history = Array.isArray(item['State History']) ? item['State History'] : [];
+    const submitted = history.filter(entry => entry.state === 'Submitted').pop();
+    return momentOf(submitted ? submitted.at : item['Date']);
+}
+
+// When the lines started waiting at their current step
+function waitingSince(lines) {
+    const moments = lines.flatMap(item => {
+        const approvals = Array.isArray(item['Approvals']) ? item['Approvals'] : [];
+        return [submittedAt(item), ...approvals.map(approval => momentOf(approval.at || approval.date))];
+    }).filter(moment => !Number.isNaN(moment));
+    return moments.length > 0 ? Math.max(...moments) : NaN;
+}
+
+// Age of a request from approvalChains.progressOf(): { submittedAt, waitingSince,
+// hours, days, overdue, escalated, escalatedTo }. escalatedTo is the step that
+// may decide the request on escalation, or null.
+function ageOf(progress, now = Date.now()) {
+    const { steps, approvals, currentStep, waiting } = progress;
+    const since = waitingSince(waiting);
+    if (!currentStep || Number.isNaN(since)) {
+        return { submittedAt: null, waitingSince: null, hours: null, days: null, overdue: false, escalated: false, escalatedTo: null };
+    }
+
+    const submitted = Math.min(...waiting.map(submittedAt).filter(moment => !Number.isNaN(moment)));
+    const hours = Math.max(0, Math.floor((now - since) / HOUR_MS));
+    const nextStep = steps[approvals.length + 1] || null;
+    const escalated = Boolean(nextStep) && hours >= settings.escalateDays * 24;
+
+    return {
+        submittedAt: Number.isFinite(submitted) ? new Date(submitted).toISOString() : null,
+        waitingSince: new Date(since).toISOString(),
+        hours,
+        days: Math.floor(hours / 24),
+        overdue: hours >= settings.overdueDays * 24,
+        escalated,
+        escalatedTo: escalated ? nextStep : null
+    };
+}
+
+module.exports = {
+    configureAgeing,
+    thresholds,
+    ageOf
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const access = require('./access');
+const lifecycle = require('./lifecycle');
+
+// Multi-level approval chains.
+// Each request type (issue / storage) has an ordered list of steps, and issue
+// requests can use a different chain per "Issue For" purpose. A step names the
+// role whose holders (for the request's subsystem) approve at that step:
+//   { "id": "store-officer", "label": "Store Officer", "role": "storeOfficer" }
+// The chains below are used unless approval_chains.json overrides them, with the
+// same layout: { "issue": { "steps": [...], "byIssueFor": { "<purpose>": [...] } },
+//               "storage": { "steps": [...] } }
+
+const SYSTEM_MANAGER = { id: 'system-manager', label: 'System Manager', role: 'systemManager' };
+const STORE_OFFICER = { id: 'store-officer', label: 'Store Officer', role: 'storeOfficer' };
+const INDUSTRY_LIAISON = { id: 'industry-liaison', label: 'Industry Liaison Officer', role: 'industryLiaison' };
+const DIRECTORATE_HEAD = { id: 'directorate-head', label: 'Directorate Head', role: 'approver' };
+
+const DEFAULT_CHAINS = {
+    issue: {
+        steps: [SYSTEM_MANAGER, STORE_OFFICER, DIRECTORATE_HEAD],
+        byIssueFor: {
+            'industry-partner': [SYSTEM_MANAGER, STORE_OFFICER, INDUSTRY_LIAISON, DIRECTORATE_HEAD]
+        }
+    },
+    storage: {
+        steps: [STORE_OFFICER, DIRECTORATE_HEAD]
+    }
+};
+
+const settings = {
+    file: 'approval_chains.json'
+};
+
+let chains = DEFAULT_CHAINS;
+
+// Check a list of steps from the configuration file; throws on the first problem
+function validateSteps(steps, where) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+        throw new Error(`${where}: a chain needs at least one step`);
+    }
+
+    const ids = new Set();
+    for (const step of steps) {
+        if (!step || !step.id || !step.label || !step.role) {
+            throw new Error(`${where}: every step needs an id, a label and a role`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(access.ROLES, step.role)) {
+            throw new Error(`${where}: unknown role "${step.role}" in step ${step.id}`);
+        }
+        if (ids.has(step.id)) {
+            throw new Error(`${where}: step ${step.id} appears twice`);
+        }
+        ids.add(step.id);
+    }
+
+    return steps.map(({ id, label, role }) => ({ id, label, role }));
+}
+
+// Load approval_chains.json if it exists (else keep the defaults).
+// Called at start-up; an invalid file stops the server rather than approving with the wrong chain.
+function configureApprovalChains(options = {}) {
+    Object.assign(settings, options);
+
+    if (!fs.existsSync(settings.file)) {
+        chains = DEFAULT_CHAINS;
+        return 'built-in defaults';
+    }
+
+    const config = JSON.parse(fs.readFileSync(settings.file, 'utf8'));
+    const loaded = {};
+    for (const type of ['issue', 'storage']) {
+        const chain = config[type] || DEFAULT_CHAINS[type];
+        loaded[type] = {
+            steps: validateSteps(chain.steps, `${settings.file} ${type}`),
+            byIssueFor: {}
+        };
+        for (const [purpose, steps] of Object.entries(chain.byIssueFor || {})) {
+            loaded[type].byIssueFor[purpose] = validateSteps(steps, `${settings.file} ${type} for ${purpose}`);
+        }
+    }
+
+    chains = loaded;
+    return settings.file;
+}
+
+// Steps that apply to a request: type is 'issue' or 'storage', issueFor the Issue For purpose
+function chainFor(type, issueFor) {
+    const chain = chains[type] || chains.issue;
+    const purpose = issueFor ? issueFor.toString() : '';
+    return (chain.byIssueFor && chain.byIssueFor[purpose]) || chain.steps;
+}
+
+// Where one line stands in its chain: its steps, the approvals recorded so far
+// and the step waiting for approval (null once every step has approved)
+function lineProgress(type, item) {
+    const steps = chainFor(type, item['Issue For']);
+    const approvals = Array.isArray(item['Approvals']) ? item['Approvals'] : [];
+    const currentStep = approvals.length < steps.length ? steps[approvals.length] : null;
+
+    return { steps, approvals, currentStep };
+}
+
+// Where a request group stands. Lines are approved and rejected one by one, so
+// the group waits for the step of its least advanced submitted line; `waiting`
+// lists the submitted lines at that step. currentStep is null when no line is waiting.
+function progressOf(group) {
+    const pending = group.rows
+        .filter(item => lifecycle.isAwaitingApproval(item))
+        .map(item => ({ item, ...lineProgress(group.type, item) }))
+        .filter(line => line.currentStep);
+
+    if (pending.length === 0) {
+        return { ...lineProgress(group.type, group.rows[0] || {}), currentStep: null, waiting: [] };
+    }
+
+    const behind = Math.min(...pending.map(line => line.approvals.length));
+    const waiting = pending.filter(line => line.approvals.length === behind);
+    const { steps, approvals, currentStep } = waiting[0];
+
+    return { steps, approvals, currentStep, waiting: waiting.map(line => line.item) };
+}
+
+// Every role that approves at some step, for the pending queue and role checks
+function approverRoles() {
+    const roles = new Set();
+    for (const chain of Object.values(chains)) {
+        chain.steps.forEach(step => roles.add(step.role));
+        Object.values(chain.byIssueFor || {}).forEach(steps => steps.forEach(step => roles.add(step.role)));
+    }
+    return [...roles];
+}
+
+module.exports = {
+    DEFAULT_CHAINS,
+    configureApprovalChains,
+    chainFor,
+    lineProgress,
+    progressOf,
+    approverRoles
+};
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+
+// Versioned snapshots of the inventory database.
+// A snapshot is taken before every mutation. Retention keeps the newest
+// `keepLast` snapshots plus the newest snapshot of each of the last `keepDays` days.
+
+const SNAPSHOT_PATTERN = /^inventory-(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})-(\d{3})\.db$/;
+
+const settings = {
+    dir: 'backups',
+    keepLast: 20,
+    keepDays: 30
+};
+
+function configureBackups(options = {}) {
+    Object.assign(settings, options);
+}
+
+function ensureBackupDir() {
+    fs.mkdirSync(settings.dir, { recursive: true });
+}
+
+function snapshotName(date) {
+    const pad = (value, length = 2) => value.toString().padStart(length, '0');
+    return `inventory-${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+        `-${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}` +
+        `-${pad(date.getUTCMilliseconds(), 3)}.db`;
+}
+
+function parseSnapshotDate(name) {
+    const match = name.match(SNAPSHOT_PATTERN);
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, seconds, ms] = match.map(Number);
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds, ms));
+}
+
+// Resolve a snapshot name to its path; rejects anything that is not a snapshot file name
+function snapshotPath(name) {
+    if (typeof name !== 'string' || !SNAPSHOT_PATTERN.test(name)) {
+        throw new Error(`Invalid snapshot name: ${name}`);
+    }
+    return path.join(settings.dir, name);
+}
+
+// List snapshots, newest first
+function listSnapshots() {
+    if (!fs.existsSync(settings.dir)) return [];
+
+    return fs.readdirSync(settings.dir)
+        .filter(name => SNAPSHOT_PATTERN.test(name))
+        .map(name => ({
+            name,
+            createdAt: parseSnapshotDate(name).toISOString(),
+            size: fs.statSync(path.join(settings.dir, name)).size
+        }))
+        .sort((a, b) => b.name.localeCompare(a.name));
+}
+
+// Delete snapshots that fall outside the retention policy
+function pruneSnapshots(now = new Date()) {
+    const snapshots = listSnapshots();
+    const keep = new Set(snapshots.slice(0, settings.keepLast).map(snapshot => snapshot.name));
+    const oldestDay = new Date(now.getTime() - settings.keepDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const daysKept = new Set();
+
+    for (const snapshot of snapshots) {
+        const day = snapshot.createdAt.split('T')[0];
+        if (day >= oldestDay && !daysKept.has(day)) {
+            daysKept.add(day);
+            keep.add(snapshot.name);
+        }
+    }
+
+    for (const snapshot of snapshots) {
+        if (!keep.has(snapshot.name)) {
+            fs.rmSync(path.join(settings.dir, snapshot.name), { force: true });
+        }
+    }
+}
+
+// Snapshot the current database and apply retention; returns the snapshot name
+function takeSnapshot() {
+    ensureBackupDir();
+
+    let date = new Date();
+    while (fs.existsSync(path.join(settings.dir, snapshotName(date)))) {
+        date = new Date(date.getTime() + 1);
+    }
+
+    const name = snapshotName(date);
+    store.snapshotTo(path.join(settings.dir, name));
+    pruneSnapshots(date);
+    return name;
+}
+
+// Newest snapshot that passes an integrity check, or null
+function latestGoodSnapshot() {
+    const snapshot = listSnapshots().find(item => store.isHealthyDatabase(snapshotPath(item.name)));
+    return snapshot || null;
+}
+
+module.exports = {
+    configureBackups,
+    snapshotPath,
+    listSnapshots,
+    pruneSnapshots,
+    takeSnapshot,
+    latestGoodSnapshot
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const store = require('./store');
+const access = require('./access');
+
+// Out-of-office cover for approvers.
+// An approver hands the approval roles they hold to another admin for a date
+// range, optionally for one subsystem only. While a delegation is in force the
+// delegate can act on the requests waiting at those roles' steps, and every
+// decision records both the delegate and the approver they stood in for.
+// Delegations are never deleted: they end on their own at endsAt, or earlier
+// when revoked, and stay in the file as a record.
+
+const settings = {
+    file: 'approval_delegations.json',
+    maxDays: 90
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function configureDelegations(options = {}) {
+    Object.assign(settings, options);
+}
+
+function loadDelegations() {
+    if (!fs.existsSync(settings.file)) return [];
+    return JSON.parse(fs.readFileSync(settings.file, 'utf8'));
+}
+
+function saveDelegations(delegations) {
+    store.writeFileAtomicSync(settings.file, JSON.stringify(delegations, null, 2));
+}
+
+function statusOf(delegation, now = Date.now()) {
+    if (delegation.revokedAt) return 'revoked';
+    if (Date.parse(delegation.endsAt) <= now) return 'expired';
+    if (Date.parse(delegation.startsAt) > now) return 'scheduled';
+    return 'active';
+}
+
+function describe(delegation) {
+    return { ...delegation, status: statusOf(delegation) };
+}
+
+function delegationError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Parse a start or end of the range. A bare date (YYYY-MM-DD) starts at the
+// beginning of that day, or runs to the end of it for the end of the range.
+function parseMoment(value, isEnd) {
+    const text = (value || '').toString().trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        const start = Date.parse(`${text}T00:00:00`);
+        return Number.isNaN(start) ? NaN : start + (isEnd ? DAY_MS : 0);
+    }
+    return Date.parse(text);
+}
+
+// Roles a delegation hands over: the delegator's approval roles, narrowed to the subsystem
+function delegatedRoles(fromRoles, approverRoles, subsystem) {
+    const roles = {};
+    for (const role of approverRoles) {
+        if (!subsystem) {
+            if (access.hasRole(fromRoles, role)) roles[role] = [...fromRoles[role]];
+        } else if (access.canAccess(fromRoles, role, subsystem)) {
+            roles[role] = [subsystem];
+        }
+    }
+    return roles;
+}
+
+// Record a delegation. from and to are { id, name } of the accounts, fromRoles
+// the delegator's roles and approverRoles the roles that approve at some step.
+// options: { subsystem, startsAt, endsAt, reason }. Throws with status 400 on bad input.
+function createDelegation(from, to, fromRoles, approverRoles, options = {}) {
+    const subsystem = options.subsystem ? access.subsystemOf(options.subsystem) : null;
+    if (options.subsystem && !subsystem) {
+        throw delegationError(`Unknown subsystem "${options.subsystem}". Use one of: ${access.SUBSYSTEMS.join(', ')}`);
+    }
+    if (from.id === to.id) {
+        throw delegationError("You cannot delegate to yourself");
+    }
+
+    const now = Date.now();
+    const startsAt = options.startsAt ? parseMoment(options.startsAt, false) : now;
+    const endsAt = parseMoment(options.endsAt, true);
+    if (Number.isNaN(startsAt) || Number.isNaN(endsAt)) {
+        throw delegationError("Give the delegation a valid start and end date");
+    }
+    if (endsAt <= Math.max(startsAt, now)) {
+        throw delegationError("The delegation must end after it starts, and in the future");
+    }
+    if (endsAt - startsAt > settings.maxDays * DAY_MS) {
+        throw delegationError(`A delegation can last at most ${settings.maxDays} days`);
+    }
+
+    const roles = delegatedRoles(fromRoles, approverRoles, subsystem);
+    if (Object.keys(roles).length === 0) {
+        throw delegationError(subsystem
+            ? `You do not approve ${subsystem} requests, so there is nothing to delegate`
+            : "You do not approve at any step, so there is nothing to delegate");
+    }
+
+    const delegation = {
+        id: `DLG-${now}-${crypto.randomBytes(2).toString('hex')}`,
+        fromId: from.id,
+        from: from.name,
+        toId: to.id,
+        to: to.name,
+        roles,
+        subsystem,
+        startsAt: new Date(startsAt).toISOString(),
+        endsAt: new Date(endsAt).toISOString(),
+        reason: (options.reason || '').toString().trim() || null,
+        createdAt: new Date(now).toISOString(),
+        revokedBy: null,
+        revokedAt: null
+    };
+
+    const delegations = loadDelegations();
+    delegations.push(delegation);
+    saveDelegations(delegations);
+    return describe(delegation);
+}
+
+// Delegations, newest first
+function listDelegations() {
+    return loadDelegations().map(describe).reverse();
+}
+
+// Delegations in force now for the account with this id
+function activeFor(accountId) {
+    const now = Date.now();
+    return loadDelegations().filter(delegation => delegation.toId === accountId && statusOf(delegation, now) === 'active');
+}
+
+// End a delegation early. Only the delegator or the delegate may; returns
+// { delegation } or { error, status }.
+function revokeDelegation(id, by) {
+    const delegations = loadDelegations();
+    const delegation = delegations.find(item => item.id === id);
+    if (!delegation || ['revoked', 'expired'].includes(statusOf(delegation))) {
+        return { error: "No current delegation with that id", status: 404 };
+    }
+    if (delegation.fromId !== by.id && delegation.toId !== by.id) {
+        return { error: "Only the approver who delegated or their delegate can end a delegation", status: 403 };
+    }
+
+    delegation.revokedBy = by.name;
+    delegation.revokedAt = new Date().toISOString();
+    saveDelegations(delegations);
+    return { delegation: describe(delegation) };
+}
+
+// A user's own roles plus the roles delegated to them
+function mergeRoles(roles, delegations) {
+    const merged = {};
+    for (const [role, scope] of Object.entries(roles || {})) merged[role] = [...scope];
+    for (const delegation of delegations) {
+        for (const [role, scope] of Object.entries(delegation.roles)) {
+            const combined = new Set([...(merged[role] || []), ...scope]);
+            merged[role] = combined.has('*') ? ['*'] : [...combined];
+        }
+    }
+    return merged;
+}
+
+// The delegation a decision on `rows` at `role` is made under: null when the
+// user's own roles cover them, else the first delegation covering every row
+function coveringDelegation(roles, delegations, role, rows) {
+    if (access.canAccessRows(roles, [role], rows)) return null;
+    return delegations.find(delegation => access.canAccessRows(delegation.roles, [role], rows)) || null;
+}
+
+module.exports = {
+    configureDelegations,
+    createDelegation,
+    listDelegations,
+    activeFor,
+    revokeDelegation,
+    mergeRoles,
+    coveringDelegation
+};
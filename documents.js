@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+
+// Document store for the archive and the SO PDFs under uploads/.
+// Every file name is confined to the store directory, uploads are checked by
+// their content (magic bytes) against an allow-list of document types, and each
+// upload is recorded with its owner so a per-user quota can be enforced.
+// Functions throw an Error with an HTTP `status` when a request is refused.
+
+const settings = {
+    dir: 'uploads',
+    maxFileBytes: 20 * 1024 * 1024,
+    quotaBytes: 200 * 1024 * 1024
+};
+
+const ZIP_MAGIC = Buffer.from([0x50, 0x4B, 0x03, 0x04]);
+const OLE_MAGIC = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+
+// Allowed document types: how to recognise the content and which extensions may carry it
+const DOCUMENT_TYPES = {
+    pdf: { label: 'PDF', extensions: ['.pdf'], matches: data => data.subarray(0, 5).toString('latin1') === '%PDF-' },
+    png: { label: 'PNG image', extensions: ['.png'], matches: data => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+    jpeg: { label: 'JPEG image', extensions: ['.jpg', '.jpeg'], matches: data => data.subarray(0, 3).equals(Buffer.from([0xFF, 0xD8, 0xFF])) },
+    gif: { label: 'GIF image', extensions: ['.gif'], matches: data => ['GIF87a', 'GIF89a'].includes(data.subarray(0, 6).toString('latin1')) },
+    docx: { label: 'Word document', extensions: ['.docx'], matches: data => isOfficeZip(data, 'word/') },
+    xlsx: { label: 'Excel workbook', extensions: ['.xlsx'], matches: data => isOfficeZip(data, 'xl/') },
+    pptx: { label: 'PowerPoint presentation', extensions: ['.pptx'], matches: data => isOfficeZip(data, 'ppt/') },
+    msoffice: { label: 'Office 97-2003 document', extensions: ['.doc', '.xls', '.ppt'], matches: data => data.subarray(0, 8).equals(OLE_MAGIC) }
+};
+
+function configureDocuments(options = {}) {
+    Object.assign(settings, options);
+}
+
+function documentError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Office Open XML files are zip archives listing [Content_Types].xml and a
+// folder named after the application (word/, xl/, ppt/)
+function isOfficeZip(data, folder) {
+    return data.subarray(0, 4).equals(ZIP_MAGIC) &&
+        data.includes('[Content_Types].xml', 0, 'latin1') &&
+        data.includes(folder, 0, 'latin1');
+}
+
+// Document type of some file content, or null if it is not on the allow-list
+function detectType(data) {
+    if (!Buffer.isBuffer(data)) return null;
+    const match = Object.entries(DOCUMENT_TYPES).find(([, type]) => type.matches(data));
+    return match ? match[0] : null;
+}
+
+// Extensions accepted for uploads (for the file picker)
+function allowedExtensions() {
+    return Object.values(DOCUMENT_TYPES).flatMap(type => type.extensions);
+}
+
+// Resolve a file name to its path inside the store. Anything that is not a
+// plain file name (separators, "..", hidden names) is refused.
+function documentPath(name) {
+    if (typeof name !== 'string' || !name || name.length > 200 || /[\\/\0]/.test(name) ||
+        name.startsWith('.') || name !== path.basename(name)) {
+        throw documentError(`Invalid file name: ${name}`, 400);
+    }
+
+    const root = path.resolve(settings.dir);
+    const file = path.resolve(root, name);
+    if (path.dirname(file) !== root) {
+        throw documentError(`Invalid file name: ${name}`, 400);
+    }
+    return file;
+}
+
+// Path for a new file name. New names are also limited to letters, digits,
+// spaces and . _ - ( ) so they are safe to show and link to in the pages.
+function newDocumentPath(name) {
+    const file = documentPath(name);
+    if (!/^[\w .()-]+$/.test(name)) {
+        throw documentError(`File names may only contain letters, digits, spaces and . _ - ( )`, 400);
+    }
+    return file;
+}
+
+// Path of an existing stored file; symlinks and directories don't count
+async function existingDocumentPath(name) {
+    const file = documentPath(name);
+    const stats = await fs.promises.lstat(file).catch(() => null);
+    if (!stats || !stats.isFile()) {
+        throw documentError("File not found", 404);
+    }
+    return file;
+}
+
+// Save an uploaded file (express-fileupload object) under `name`.
+// options.owner is charged for the quota; options.types limits the accepted types.
+// Returns { name, path, type, size }.
+async function saveDocument(file, name, options = {}) {
+    if (!file || !Buffer.isBuffer(file.data)) {
+        throw documentError("No file uploaded", 400);
+    }
+    if (file.truncated || file.data.length > settings.maxFileBytes) {
+        throw documentError(`${file.name} is larger than the ${Math.round(settings.maxFileBytes / (1024 * 1024))} MB limit`, 413);
+    }
+
+    const target = newDocumentPath(name);
+    const type = detectType(file.data);
+    const accepted = options.types || Object.keys(DOCUMENT_TYPES);
+    if (!type || !accepted.includes(type)) {
+        const labels = accepted.map(key => DOCUMENT_TYPES[key].label).join(', ');
+        throw documentError(`${file.name} is not an accepted document (allowed: ${labels})`, 415);
+    }
+    if (!DOCUMENT_TYPES[type].extensions.includes(path.extname(name).toLowerCase())) {
+        throw documentError(`${file.name} is a ${DOCUMENT_TYPES[type].label}, its extension must be ${DOCUMENT_TYPES[type].extensions.join(' or ')}`, 415);
+    }
+
+    const size = file.data.length;
+    if (options.owner) {
+        const used = store.documentUsage(options.owner);
+        if (used + size > settings.quotaBytes) {
+            throw documentError(
+                `Storage quota exceeded: ${options.owner} uses ${(used / (1024 * 1024)).toFixed(1)} MB of ` +
+                `${Math.round(settings.quotaBytes / (1024 * 1024))} MB`,
+                413
+            );
+        }
+    }
+
+    await fs.promises.mkdir(settings.dir, { recursive: true });
+    try {
+        await fs.promises.writeFile(target, file.data, { flag: 'wx' });
+    } catch (error) {
+        if (error.code === 'EEXIST') throw documentError(`A file named ${name} already exists`, 409);
+        throw error;
+    }
+
+    store.addDocument({ name, owner: options.owner, type, size });
+    return { name, path: `/uploads/${name}`, type, size };
+}
+
+// Stored files with their size, upload date and owner (if known), newest first
+async function listDocuments() {
+    await fs.promises.mkdir(settings.dir, { recursive: true });
+    const records = store.listDocuments();
+    const names = await fs.promises.readdir(settings.dir);
+    const documents = [];
+
+    for (const name of names) {
+        if (name.startsWith('.')) continue;
+        const stats = await fs.promises.lstat(path.join(settings.dir, name));
+        if (!stats.isFile()) continue;
+
+        const record = records.get(name);
+        documents.push({
+            name,
+            size: stats.size,
+            uploadDate: record ? record.uploadedAt : stats.birthtime.toISOString(),
+            owner: record ? record.owner : null,
+            type: record ? record.type : null
+        });
+    }
+
+    return documents.sort((a, b) => b.uploadDate.localeCompare(a.uploadDate));
+}
+
+// Refuse changing a stored file unless options.user uploaded it or options.manager
+// is set, and while options.referencedBy(name) names a request that links to it
+function checkChange(name, options, action) {
+    const record = store.listDocuments().get(name);
+    if (!options.manager && (!record || !record.owner || record.owner !== options.user)) {
+        throw documentError(`Only the uploader, an admin or a system manager can ${action} ${name}`, 403);
+    }
+    const reference = options.referencedBy ? options.referencedBy(name) : null;
+    if (reference) {
+        throw documentError(`${name} can't be ${action}d: it is still linked from request ${reference}`, 409);
+    }
+}
+
+// Rename a stored file. The extension (and so the document type) can't change,
+// and an existing file is never overwritten. options as for checkChange.
+async function renameDocument(oldName, newName, options = {}) {
+    const oldPath = await existingDocumentPath(oldName);
+    checkChange(oldName, options, 'rename');
+    const newPath = newDocumentPath(newName);
+    if (path.extname(oldName).toLowerCase() !== path.extname(newName).toLowerCase()) {
+        throw documentError("The file extension cannot be changed", 400);
+    }
+
+    try {
+        await fs.promises.link(oldPath, newPath);
+    } catch (error) {
+        if (error.code === 'EEXIST') throw documentError("A file with that name already exists", 409);
+        throw error;
+    }
+    await fs.promises.unlink(oldPath);
+    store.renameDocument(oldName, newName);
+}
+
+async function deleteDocument(name, options = {}) {
+    const file = await existingDocumentPath(name);
+    checkChange(name, options, 'delete');
+    await fs.promises.unlink(file);
+    store.removeDocument(name);
+}
+
+// Bytes used by an owner and their quota
+function usageOf(owner) {
+    return { used: store.documentUsage(owner), quota: settings.quotaBytes, maxFileBytes: settings.maxFileBytes };
+}
+
+module.exports = {
+    DOCUMENT_TYPES,
+    configureDocuments,
+    detectType,
+    allowedExtensions,
+    documentPath,
+    saveDocument,
+    listDocuments,
+    renameDocument,
+    deleteDocument,
+    usageOf
+};
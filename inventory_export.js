@@ -0,0 +1,137 @@
+const xlsx = require('xlsx');
+const lifecycle = require('./lifecycle');
+
+// Filtering and export of inventory rows as CSV, XLSX or JSON.
+
+const COMMON_TRAILING_COLUMNS = [
+    'Status', 'Status Changed At', 'ION Status', 'System Manager', 'Submitted By', 'Approved By', 'Approval Date',
+    'Approved Quantity', 'Rejection Reason', 'Rejection Date'
+];
+
+const ISSUE_COLUMNS = [
+    'Component ID', 'Issue No', 'Issue Date', 'Part No', 'Part Description', 'Manufacturer',
+    'Quality Grade', 'Sub System', 'Quantity Each', 'Total Quantity', 'SO No', 'S.No as per SO',
+    'Issued To', 'Issue For', 'Request Text', 'Lot No', 'Unit Serials', ...COMMON_TRAILING_COLUMNS
+];
+
+const STORAGE_COLUMNS = [
+    'Component ID', 'Storage No', 'Storage Date', 'Part No', 'Part Description', 'Grade',
+    'Storage Quantity', 'Storage Temperature', 'Relative Humidity', 'Storage Data', 'Delivery Date',
+    'SO Number', 'S.No as per PO', 'Lot No', 'Unit Serials', 'Location', ...COMMON_TRAILING_COLUMNS
+];
+
+const RETURN_COLUMNS = [
+    'Component ID', 'Return No', 'Return Date', 'Returned From ION', 'Returned Component ID', 'Part No',
+    'Part Description', 'Return Quantity', 'Condition', 'Returned By', 'Received By', 'Remarks',
+    'Issued To', 'Request Text', 'Lot No', 'Unit Serials', 'Location', 'Status'
+];
+
+const ALL_COLUMNS = [
+    'Component ID', 'Type',
+    ...new Set([...ISSUE_COLUMNS, ...STORAGE_COLUMNS, ...RETURN_COLUMNS].filter(column => column !== 'Component ID'))
+];
+
+const TYPES = {
+    issued: 'Issued Component',
+    stored: 'Stored Component',
+    returned: 'Returned Component'
+};
+
+const FORMATS = ['csv', 'xlsx', 'json'];
+
+function text(value) {
+    return value === undefined || value === null ? '' : value.toString();
+}
+
+function contains(value, search) {
+    return text(value).toLowerCase().includes(search.toLowerCase());
+}
+
+// The date a record is filed under: its issue or storage date, else the entry date
+function recordDate(item) {
+    return text(item['Issue Date'] || item['Storage Date'] || item['Date']);
+}
+
+function matchesStatus(item, status) {
+    const wanted = status.toLowerCase();
+    return text(item.Status).toLowerCase() === wanted || lifecycle.stateOf(item).toLowerCase() === wanted;
+}
+
+// Apply the table-view filters:
+// type (all / issued / stored / returned), status (a lifecycle state; old statuses
+// such as Pending still match), from / to (YYYY-MM-DD), partNo, systemManager, submittedBy
+function filterInventory(data, filters = {}) {
+    return data.filter(item => {
+        if (TYPES[filters.type] && item.Type !== TYPES[filters.type]) return false;
+        if (filters.status && !matchesStatus(item, filters.status)) return false;
+        if (filters.from && recordDate(item) < filters.from) return false;
+        if (filters.to && recordDate(item) > filters.to) return false;
+        if (filters.partNo && !contains(item['Part No'], filters.partNo)) return false;
+        if (filters.systemManager && !contains(item['System Manager'], filters.systemManager)) return false;
+        if (filters.submittedBy && !contains(item['Submitted By'], filters.submittedBy)) return false;
+        return true;
+    });
+}
+
+function columnsFor(type) {
+    if (type === 'issued') return ISSUE_COLUMNS;
+    if (type === 'stored') return STORAGE_COLUMNS;
+    if (type === 'returned') return RETURN_COLUMNS;
+    return ALL_COLUMNS;
+}
+
+// The export columns of a row; lists (Unit Serials) become comma separated text
+function pick(item, columns) {
+    const row = {};
+    for (const column of columns) {
+        const value = item[column] === undefined ? null : item[column];
+        row[column] = Array.isArray(value) ? value.join(', ') : value;
+    }
+    return row;
+}
+
+// Text cells starting like a formula (= + - @, tab or CR) get a leading ' so
+// spreadsheet programs show them instead of evaluating them
+function csvCell(value) {
+    let cell = text(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+// Stream rows to a writable (the HTTP response) as CSV, one line at a time
+function writeCsv(out, rows, columns) {
+    out.write('\uFEFF' + columns.map(csvCell).join(',') + '\r\n');
+    for (const item of rows) {
+        out.write(columns.map(column => csvCell(item[column])).join(',') + '\r\n');
+    }
+    out.end();
+}
+
+// Build an XLSX buffer. "all" exports get one sheet each for issued, stored and returned records.
+function buildWorkbook(rows, type) {
+    const wb = xlsx.utils.book_new();
+    const sheetNames = { issued: 'Issued', stored: 'Stored', returned: 'Returned' };
+    const sheets = sheetNames[type]
+        ? [[sheetNames[type], rows, columnsFor(type)]]
+        : [
+            ['Issued', rows.filter(item => item.Type === TYPES.issued), ISSUE_COLUMNS],
+            ['Stored', rows.filter(item => item.Type === TYPES.stored), STORAGE_COLUMNS],
+            ['Returned', rows.filter(item => item.Type === TYPES.returned), RETURN_COLUMNS]
+        ];
+
+    for (const [name, sheetRows, columns] of sheets) {
+        const ws = xlsx.utils.json_to_sheet(sheetRows.map(item => pick(item, columns)), { header: columns });
+        xlsx.utils.book_append_sheet(wb, ws, name);
+    }
+
+    return xlsx.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+    FORMATS,
+    filterInventory,
+    columnsFor,
+    pick,
+    writeCsv,
+    buildWorkbook
+};
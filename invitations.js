@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const store = require('./store');
+
+// Single-use, expiring invitation codes for new admin accounts, plus the
+// one-time setup token used to create the very first admin.
+// Only a SHA-256 hash of each code is written to the invitations file.
+
+const settings = {
+    file: 'admin_invitations.json',
+    ttlHours: 72,
+    maxTtlHours: 30 * 24
+};
+
+let setupTokenHash = null;
+
+function configureInvitations(options = {}) {
+    Object.assign(settings, options);
+}
+
+function hashCode(code) {
+    return crypto.createHash('sha256').update(code.toString().trim()).digest('hex');
+}
+
+function safeEqualHex(a, b) {
+    const bufferA = Buffer.from(a, 'hex');
+    const bufferB = Buffer.from(b, 'hex');
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function loadInvitations() {
+    if (!fs.existsSync(settings.file)) return [];
+    return JSON.parse(fs.readFileSync(settings.file, 'utf8'));
+}
+
+function saveInvitations(invitations) {
+    store.writeFileAtomicSync(settings.file, JSON.stringify(invitations, null, 2));
+}
+
+function statusOf(invitation, now = Date.now()) {
+    if (invitation.usedAt) return 'used';
+    if (invitation.revokedAt) return 'revoked';
+    if (Date.parse(invitation.expiresAt) <= now) return 'expired';
+    return 'open';
+}
+
+// Public view of an invitation (never includes the code or its hash)
+function describe(invitation) {
+    const { codeHash, ...details } = invitation;
+    return { ...details, status: statusOf(invitation) };
+}
+
+// Create an invitation; the plain code is only returned here, once
+function createInvitation(createdBy, options = {}) {
+    const hours = Math.min(Math.max(Number(options.ttlHours) || settings.ttlHours, 1), settings.maxTtlHours);
+    const code = crypto.randomBytes(9).toString('base64url');
+    const now = new Date();
+    const invitation = {
+        id: `INV-${now.getTime()}-${crypto.randomBytes(2).toString('hex')}`,
+        codeHash: hashCode(code),
+        createdBy,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString(),
+        roles: options.roles || null,
+        usedBy: null,
+        usedAt: null,
+        revokedAt: null
+    };
+
+    const invitations = loadInvitations();
+    invitations.push(invitation);
+    saveInvitations(invitations);
+
+    return { code, invitation: describe(invitation) };
+}
+
+// Invitations, newest first
+function listInvitations() {
+    return loadInvitations().map(describe).reverse();
+}
+
+// Withdraw an open invitation; returns false if there is no such open invitation
+function revokeInvitation(id) {
+    const invitations = loadInvitations();
+    const invitation = invitations.find(item => item.id === id);
+    if (!invitation || statusOf(invitation) !== 'open') return false;
+
+    invitation.revokedAt = new Date().toISOString();
+    saveInvitations(invitations);
+    return true;
+}
+
+// Find the open invitation for a code, or null
+function findOpenInvitation(code) {
+    if (!code) return null;
+    const codeHash = hashCode(code);
+    const invitation = loadInvitations().find(item => safeEqualHex(item.codeHash, codeHash));
+    return invitation && statusOf(invitation) === 'open' ? describe(invitation) : null;
+}
+
+// Mark an invitation used by the new account
+function markInvitationUsed(id, username) {
+    const invitations = loadInvitations();
+    const invitation = invitations.find(item => item.id === id);
+    invitation.usedBy = username;
+    invitation.usedAt = new Date().toISOString();
+    saveInvitations(invitations);
+}
+
+// Create a fresh setup token for the first admin (kept in memory only)
+function createSetupToken() {
+    const token = crypto.randomBytes(16).toString('hex');
+    setupTokenHash = hashCode(token);
+    return token;
+}
+
+function checkSetupToken(token) {
+    return Boolean(setupTokenHash && token && safeEqualHex(hashCode(token), setupTokenHash));
+}
+
+function clearSetupToken() {
+    setupTokenHash = null;
+}
+
+module.exports = {
+    configureInvitations,
+    createInvitation,
+    listInvitations,
+    revokeInvitation,
+    findOpenInvitation,
+    markInvitationUsed,
+    createSetupToken,
+    checkSetupToken,
+    clearSetupToken
+};
@@ -0,0 +1,113 @@
+// Request lifecycle: the states an inventory row goes through and the moves
+// allowed between them.
+//   Draft -> Submitted -> Approved -> Issued (collected) -> Closed
+// A submitted request can also be Rejected, or Returned for Clarification and
+// then submitted again, and a request can be Cancelled until it is issued.
+// Storage receipts have no issue step: an approved receipt stays Approved (its
+// stock counts as in store) until the store keeper moves it to Closed, and it can
+// be Cancelled while Approved as long as none of its stock has been issued.
+// Rows from before the lifecycle are read through stateOf(): an old "Pending"
+// is Submitted, and a row without a status counts as issued (or stored).
+
+const DRAFT = 'Draft';
+const SUBMITTED = 'Submitted';
+const RETURNED_FOR_CLARIFICATION = 'Returned for Clarification';
+const APPROVED = 'Approved';
+const ISSUED = 'Issued';
+const CLOSED = 'Closed';
+const REJECTED = 'Rejected';
+const CANCELLED = 'Cancelled';
+
+const STATES = [DRAFT, SUBMITTED, RETURNED_FOR_CLARIFICATION, APPROVED, ISSUED, CLOSED, REJECTED, CANCELLED];
+
+// Allowed moves per request type: state -> states it may go to
+const TRANSITIONS = {
+    issue: {
+        [DRAFT]: [SUBMITTED, CANCELLED],
+        [SUBMITTED]: [APPROVED, REJECTED, RETURNED_FOR_CLARIFICATION, CANCELLED],
+        [RETURNED_FOR_CLARIFICATION]: [SUBMITTED, CANCELLED],
+        [APPROVED]: [ISSUED, CANCELLED],
+        [ISSUED]: [CLOSED]
+    },
+    storage: {
+        [DRAFT]: [SUBMITTED, CANCELLED],
+        [SUBMITTED]: [APPROVED, REJECTED, RETURNED_FOR_CLARIFICATION, CANCELLED],
+        [RETURNED_FOR_CLARIFICATION]: [SUBMITTED, CANCELLED],
+        [APPROVED]: [CLOSED, CANCELLED]
+    }
+};
+
+// Old free-text statuses and the state they stand for
+const ALIASES = {
+    pending: SUBMITTED,
+    collected: ISSUED,
+    stored: CLOSED
+};
+
+function isStored(item) {
+    return Boolean(item.Type) && item.Type.toString() === 'Stored Component';
+}
+
+function isReturnRow(item) {
+    return Boolean(item.Type) && item.Type.toString() === 'Returned Component';
+}
+
+// Lifecycle state of a row. Return-to-store rows are not requests and keep their own status.
+function stateOf(item) {
+    const status = item.Status ? item.Status.toString().trim() : '';
+    if (isReturnRow(item)) return status;
+
+    const known = STATES.find(state => state.toLowerCase() === status.toLowerCase());
+    if (known) return known;
+    if (ALIASES[status.toLowerCase()]) return ALIASES[status.toLowerCase()];
+    return isStored(item) ? CLOSED : ISSUED;
+}
+
+// States a row may move to next
+function nextStates(item) {
+    if (isReturnRow(item)) return [];
+    const type = isStored(item) ? 'storage' : 'issue';
+    return TRANSITIONS[type][stateOf(item)] || [];
+}
+
+function canMove(item, to) {
+    return nextStates(item).includes(to);
+}
+
+function isAwaitingApproval(item) {
+    return stateOf(item) === SUBMITTED;
+}
+
+// Requests can be changed until they are approved
+function isEditable(item) {
+    return [DRAFT, SUBMITTED, RETURNED_FOR_CLARIFICATION].includes(stateOf(item));
+}
+
+// Move a row to a new state, stamping when and by whom in its State History
+function setState(item, state, by, note) {
+    const at = new Date().toISOString();
+    const entry = { state, at, by: by || null };
+    if (note) entry.note = note;
+
+    item['Status'] = state;
+    item['Status Changed At'] = at;
+    item['State History'] = [...(Array.isArray(item['State History']) ? item['State History'] : []), entry];
+}
+
+module.exports = {
+    DRAFT,
+    SUBMITTED,
+    RETURNED_FOR_CLARIFICATION,
+    APPROVED,
+    ISSUED,
+    CLOSED,
+    REJECTED,
+    CANCELLED,
+    STATES,
+    stateOf,
+    nextStates,
+    canMove,
+    isAwaitingApproval,
+    isEditable,
+    setState
+};
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const store = require('./store');
+
+// Physical storage locations: store -> rack -> shelf -> bin.
+// Each location has a code built from its parent's, e.g. MAIN, MAIN-R1,
+// MAIN-R1-S2, MAIN-R1-S2-B5, and an environmental class. A store must have a
+// class; racks, shelves and bins inherit their parent's unless they set one.
+// Stored rows keep the code of their location in "Location" and every move in
+// "Location History". Functions throw an Error with an HTTP `status` on bad input.
+
+const LEVELS = ['store', 'rack', 'shelf', 'bin'];
+
+// Environmental classes and the temperature range (°C) each one is held at
+const ENVIRONMENTS = {
+    ambient: { label: 'Ambient', minC: 15, maxC: 30 },
+    controlled: { label: 'Temperature controlled', minC: 20, maxC: 25 },
+    cold: { label: 'Cold store', minC: 2, maxC: 8 },
+    frozen: { label: 'Freezer', minC: -25, maxC: -15 }
+};
+
+const settings = {
+    file: 'storage_locations.json'
+};
+
+function configureLocations(options = {}) {
+    Object.assign(settings, options);
+}
+
+function locationError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function loadLocations() {
+    if (!fs.existsSync(settings.file)) return [];
+    return JSON.parse(fs.readFileSync(settings.file, 'utf8'));
+}
+
+function saveLocations(locations) {
+    store.writeFileAtomicSync(settings.file, JSON.stringify(locations, null, 2));
+}
+
+function normalizeCode(code) {
+    return (code || '').toString().trim().toUpperCase();
+}
+
+// True if `code` is the location `ancestor` or lies inside it
+function isWithin(code, ancestor) {
+    const value = normalizeCode(code);
+    return value === ancestor || value.startsWith(`${ancestor}-`);
+}
+
+// Environmental class of a location: its own, or the nearest parent's
+function environmentOf(location, locations) {
+    for (let current = location; current; current = locations.find(item => item.code === current.parent)) {
+        if (current.environment) return current.environment;
+    }
+    return null;
+}
+
+// A location with its effective class and the names along its path
+function describe(location, locations) {
+    const names = [];
+    for (let current = location; current; current = locations.find(item => item.code === current.parent)) {
+        names.unshift(current.name);
+    }
+    const environment = environmentOf(location, locations);
+    return {
+        ...location,
+        path: names.join(' / '),
+        effectiveEnvironment: environment,
+        environmentLabel: environment ? ENVIRONMENTS[environment].label : null
+    };
+}
+
+// Every location, in code order
+function listLocations() {
+    const locations = loadLocations();
+    return locations.map(location => describe(location, locations)).sort((a, b) => a.code.localeCompare(b.code));
+}
+
+function findLocation(code) {
+    const locations = loadLocations();
+    const location = locations.find(item => item.code === normalizeCode(code));
+    return location ? describe(location, locations) : null;
+}
+
+// Add a location. Body: { parent, code, name, environment } - code is the part
+// added to the parent's code (R1, S2, B5, ...). Returns the new location.
+function addLocation(options, createdBy) {
+    const locations = loadLocations();
+    const parentCode = normalizeCode(options.parent);
+    const parent = parentCode ? locations.find(item => item.code === parentCode) : null;
+    if (parentCode && !parent) {
+        throw locationError(`Unknown parent location ${parentCode}`, 400);
+    }
+    if (parent && parent.level === LEVELS[LEVELS.length - 1]) {
+        throw locationError(`${parent.code} is a bin and can't hold other locations`, 400);
+    }
+
+    const segment = normalizeCode(options.code);
+    if (!/^[A-Z0-9]{1,12}$/.test(segment)) {
+        throw locationError("A location code is 1 to 12 letters or digits", 400);
+    }
+    const code = parent ? `${parent.code}-${segment}` : segment;
+    if (locations.some(item => item.code === code)) {
+        throw locationError(`Location ${code} already exists`, 409);
+    }
+
+    const environment = options.environment ? options.environment.toString().trim().toLowerCase() : null;
+    if (environment && !ENVIRONMENTS[environment]) {
+        throw locationError(`Unknown environmental class "${options.environment}". Use one of: ${Object.keys(ENVIRONMENTS).join(', ')}`, 400);
+    }
+    if (!parent && !environment) {
+        throw locationError("A store needs an environmental class", 400);
+    }
+
+    const location = {
+        code,
+        name: (options.name || '').toString().trim() || segment,
+        level: parent ? LEVELS[LEVELS.indexOf(parent.level) + 1] : LEVELS[0],
+        parent: parent ? parent.code : null,
+        environment,
+        createdBy,
+        createdAt: new Date().toISOString()
+    };
+    locations.push(location);
+    saveLocations(locations);
+    return describe(location, locations);
+}
+
+// Remove a location that holds no other locations; the caller checks it is empty of stock
+function removeLocation(code) {
+    const locations = loadLocations();
+    const target = normalizeCode(code);
+    if (!locations.some(item => item.code === target)) {
+        throw locationError(`Unknown location ${target}`, 404);
+    }
+    if (locations.some(item => item.parent === target)) {
+        throw locationError(`Location ${target} still holds other locations`, 409);
+    }
+    saveLocations(locations.filter(item => item.code !== target));
+}
+
+// Temperature a part must be kept at, from its free-text "Storage Temperature":
+// { min, max, nominal } in °C, or null when it can't be read. "2-8 °C" and
+// "-20 to 25" are ranges, "below 25" / "< 25" and "above 5" are open ranges,
+// and a single figure is the nominal temperature.
+function parseTemperature(text) {
+    const value = (text || '').toString().replace(/[–—]/g, '-').replace(/°|deg(rees)?|celsius/gi, ' ');
+    const number = '(-?\\d+(?:\\.\\d+)?)';
+    let match = value.match(new RegExp(`${number}\\s*c?\\s*(?:to|-|~|\\.\\.)\\s*${number}`, 'i'));
+    if (match) {
+        const [low, high] = [Number(match[1]), Number(match[2])].sort((a, b) => a - b);
+        return { min: low, max: high, nominal: false };
+    }
+    if ((match = value.match(new RegExp(`(?:<=?|≤|below|under|max(?:imum)?|up\\s*to)\\s*${number}`, 'i')))) {
+        return { min: -Infinity, max: Number(match[1]), nominal: false };
+    }
+    if ((match = value.match(new RegExp(`(?:>=?|≥|above|over|min(?:imum)?)\\s*${number}`, 'i')))) {
+        return { min: Number(match[1]), max: Infinity, nominal: false };
+    }
+    if ((match = value.match(new RegExp(number)))) {
+        return { min: Number(match[1]), max: Number(match[1]), nominal: true };
+    }
+    return null;
+}
+
+// Why a row should not be kept at a location, or null. A location suits a part
+// when the range its class is held at lies within the part's storage temperature
+// (or contains it, for a single nominal figure).
+function placementWarning(item, code) {
+    const location = findLocation(code);
+    const needs = parseTemperature(item['Storage Temperature']);
+    if (!location || !location.effectiveEnvironment || !needs) return null;
+
+    const { label, minC, maxC } = ENVIRONMENTS[location.effectiveEnvironment];
+    const suits = needs.nominal
+        ? needs.min >= minC && needs.max <= maxC
+        : minC >= needs.min && maxC <= needs.max;
+    if (suits) return null;
+
+    const part = item['Part No'] || item['Component ID'];
+    return `${part} (${item['Component ID']}) needs ${item['Storage Temperature']}, but ${location.code} is ${label} (${minC} to ${maxC} °C)`;
+}
+
+// Put a row at a location (code, or empty to leave it unplaced), stamping the
+// move in its Location History. Unknown locations throw with status 400.
+function place(item, code, by, note) {
+    const to = normalizeCode(code) || null;
+    if (to && !findLocation(to)) {
+        throw locationError(`Unknown location ${to}`, 400);
+    }
+    const from = item['Location'] || null;
+    if (from === to) return false;
+
+    const entry = { from, to, at: new Date().toISOString(), by: by || null };
+    if (note) entry.note = note;
+    item['Location'] = to;
+    item['Location History'] = [...(Array.isArray(item['Location History']) ? item['Location History'] : []), entry];
+    return true;
+}
+
+module.exports = {
+    LEVELS,
+    ENVIRONMENTS,
+    configureLocations,
+    isWithin,
+    listLocations,
+    findLocation,
+    addLocation,
+    removeLocation,
+    parseTemperature,
+    placementWarning,
+    place
+};
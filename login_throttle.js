@@ -0,0 +1,161 @@
+const store = require('./store');
+
+// Brute-force protection for the two login routes.
+// Failed logins are counted per account and per client IP. After a few free
+// failures each further attempt has to wait twice as long as the previous one,
+// and an account is locked for a while after too many failures in a row (an
+// admin can unlock it early). Every attempt is written to the login log.
+
+const settings = {
+    freeFailures: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 15 * 60 * 1000,
+    lockAfterFailures: 5,
+    lockMs: 15 * 60 * 1000,
+    ipFreeFailures: 10,
+    failureWindowMs: 60 * 60 * 1000
+};
+
+// Accounts with a password check in progress, so parallel guesses can't
+// all get past the counters before the first failure is recorded
+const inFlight = new Set();
+
+function configureLoginThrottle(options = {}) {
+    Object.assign(settings, options);
+}
+
+function accountKey(kind, username) {
+    return `account:${kind}:${username.toString().trim().toLowerCase()}`;
+}
+
+function ipKey(ip) {
+    return `ip:${ip || 'unknown'}`;
+}
+
+// Counter for a key, ignoring failures that are older than the window
+function currentFailures(key, now) {
+    const counter = store.getLoginFailures(key);
+    if (!counter) return null;
+    if (counter.lockedUntil && counter.lockedUntil > now) return counter;
+    return now - counter.lastFailureAt > settings.failureWindowMs ? null : counter;
+}
+
+// Milliseconds the next attempt has to wait because of back-off (0 = may try now)
+function backoffWait(counter, freeFailures, now) {
+    if (!counter || counter.failures <= freeFailures) return 0;
+    const delay = Math.min(settings.baseDelayMs * 2 ** (counter.failures - freeFailures - 1), settings.maxDelayMs);
+    return Math.max(counter.lastFailureAt + delay - now, 0);
+}
+
+function seconds(ms) {
+    return Math.ceil(ms / 1000);
+}
+
+// Check whether a login may be attempted now.
+// Returns null, or { reason, retryAfterMs, message } when the attempt must be refused.
+function checkLogin(kind, username, ip) {
+    const now = Date.now();
+    const account = currentFailures(accountKey(kind, username), now);
+
+    if (account && account.lockedUntil && account.lockedUntil > now) {
+        const retryAfterMs = account.lockedUntil - now;
+        return {
+            reason: 'locked',
+            retryAfterMs,
+            message: `Too many failed logins. This account is locked for ${Math.ceil(retryAfterMs / 60000)} more minute(s) or until an admin unlocks it`
+        };
+    }
+
+    const retryAfterMs = Math.max(
+        backoffWait(account, settings.freeFailures, now),
+        backoffWait(currentFailures(ipKey(ip), now), settings.ipFreeFailures, now)
+    );
+    if (retryAfterMs > 0) {
+        return {
+            reason: 'throttled',
+            retryAfterMs,
+            message: `Too many failed logins. Please wait ${seconds(retryAfterMs)} second(s) before trying again`
+        };
+    }
+
+    if (inFlight.has(accountKey(kind, username))) {
+        return {
+            reason: 'throttled',
+            retryAfterMs: settings.baseDelayMs,
+            message: 'Another login for this account is being checked. Please try again'
+        };
+    }
+
+    return null;
+}
+
+// Run the password check for an account, refusing parallel checks of the same account
+async function guardAttempt(kind, username, check) {
+    const key = accountKey(kind, username);
+    inFlight.add(key);
+    try {
+        return await check();
+    } finally {
+        inFlight.delete(key);
+    }
+}
+
+function bump(key, now) {
+    const counter = currentFailures(key, now);
+    const failures = (counter ? counter.failures : 0) + 1;
+    return { failures, lastFailureAt: now, lockedUntil: counter ? counter.lockedUntil : null };
+}
+
+// A wrong username or password: count it and lock the account when it has failed too often.
+// Returns true if this failure locked the account.
+function recordFailure(kind, username, ip) {
+    const now = Date.now();
+    const key = accountKey(kind, username);
+    const account = bump(key, now);
+    const locked = account.failures >= settings.lockAfterFailures;
+    if (locked) account.lockedUntil = now + settings.lockMs;
+
+    store.setLoginFailures(key, account);
+    store.setLoginFailures(ipKey(ip), bump(ipKey(ip), now));
+    store.appendLoginAttempt({ kind, username, ip, success: false, reason: locked ? 'invalid credentials, account locked' : 'invalid credentials' });
+
+    if (locked) {
+        console.log(`⚠️ ${kind} account "${username}" locked after ${account.failures} failed logins (last from ${ip})`);
+    }
+    return locked;
+}
+
+// Correct password: the account's failure count starts again
+function recordSuccess(kind, username, ip) {
+    store.clearLoginFailures(accountKey(kind, username));
+    store.appendLoginAttempt({ kind, username, ip, success: true });
+}
+
+// Attempt refused without counting as a guess (locked, throttled, disabled account, ...)
+function recordRefused(kind, username, ip, reason) {
+    store.appendLoginAttempt({ kind, username, ip, success: false, reason });
+}
+
+// When the account is locked until, as an ISO date, or null
+function lockedUntil(kind, username) {
+    const counter = currentFailures(accountKey(kind, username), Date.now());
+    return counter && counter.lockedUntil && counter.lockedUntil > Date.now()
+        ? new Date(counter.lockedUntil).toISOString()
+        : null;
+}
+
+// Lift a lock (and the back-off) on an account
+function unlockAccount(kind, username) {
+    store.clearLoginFailures(accountKey(kind, username));
+}
+
+module.exports = {
+    configureLoginThrottle,
+    checkLogin,
+    guardAttempt,
+    recordFailure,
+    recordSuccess,
+    recordRefused,
+    lockedUntil,
+    unlockAccount
+};
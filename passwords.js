@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// Password hashing and policy for users.json / admin_users.json.
+// Hashes are stored as "scrypt$N$r$p$salt$hash" (salt and hash base64), so
+// the cost can be raised later without breaking existing entries.
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_COST = 16384;
+const SCRYPT_BLOCK_SIZE = 8;
+const SCRYPT_PARALLELISM = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const MIN_PASSWORD_LENGTH = 10;
+const MAX_PASSWORD_LENGTH = 128;
+
+const COMMON_PASSWORDS = [
+    'password', 'password1', 'password123', '1234567890', '12345678910', 'qwertyuiop',
+    'qwerty123', 'iloveyou', 'admin12345', 'welcome123', 'letmein123', 'abc1234567',
+    'changeme123', 'drdo123456', 'inventory1'
+];
+
+async function deriveKey(password, salt, cost, blockSize, parallelism) {
+    return scrypt(password, salt, KEY_LENGTH, {
+        N: cost,
+        r: blockSize,
+        p: parallelism,
+        maxmem: 256 * cost * blockSize
+    });
+}
+
+function isHashed(stored) {
+    return typeof stored === 'string' && stored.startsWith('scrypt$');
+}
+
+// Hash a password with a fresh random salt
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const key = await deriveKey(password, salt, SCRYPT_COST, SCRYPT_BLOCK_SIZE, SCRYPT_PARALLELISM);
+    return ['scrypt', SCRYPT_COST, SCRYPT_BLOCK_SIZE, SCRYPT_PARALLELISM, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+// Constant-time comparison of two strings of any length
+function safeEqual(a, b) {
+    const digestA = crypto.createHash('sha256').update(a.toString()).digest();
+    const digestB = crypto.createHash('sha256').update(b.toString()).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+// Check a password against a stored hash. needsRehash is true when the
+// hash was made with older cost settings and should be replaced.
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || !isHashed(stored)) {
+        return { valid: false, needsRehash: false };
+    }
+
+    const [, cost, blockSize, parallelism, salt, hash] = stored.split('$');
+    const expected = Buffer.from(hash || '', 'base64');
+    if (expected.length !== KEY_LENGTH) return { valid: false, needsRehash: false };
+
+    const key = await deriveKey(password, Buffer.from(salt, 'base64'), Number(cost), Number(blockSize), Number(parallelism));
+    return {
+        valid: crypto.timingSafeEqual(key, expected),
+        needsRehash: Number(cost) !== SCRYPT_COST || Number(blockSize) !== SCRYPT_BLOCK_SIZE ||
+            Number(parallelism) !== SCRYPT_PARALLELISM
+    };
+}
+
+// Spend the same time as a real check, so unknown usernames can't be told apart by timing
+async function dummyVerify(password) {
+    await deriveKey(password || '', Buffer.alloc(SALT_BYTES), SCRYPT_COST, SCRYPT_BLOCK_SIZE, SCRYPT_PARALLELISM);
+}
+
+// Random password for a forced reset; always satisfies checkPasswordPolicy
+function generateTemporaryPassword(length = 14) {
+    const lower = 'abcdefghijkmnopqrstuvwxyz';
+    const upper = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+    const digits = '23456789';
+    const all = lower + upper + digits;
+    const pick = (chars) => chars[crypto.randomInt(chars.length)];
+
+    const chars = [pick(lower), pick(upper), pick(digits)];
+    while (chars.length < length) chars.push(pick(all));
+
+    // Shuffle so the guaranteed characters are not always first
+    for (let i = chars.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+    return chars.join('');
+}
+
+// Returns a message describing what is wrong with the password, or null if it is acceptable
+function checkPasswordPolicy(password, username = '') {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+    }
+    if (password.length > MAX_PASSWORD_LENGTH) {
+        return `Password must be at most ${MAX_PASSWORD_LENGTH} characters long`;
+    }
+    if (!/[a-z]/.test(password) || !/[A-Z]/.test(password) || !/\d/.test(password)) {
+        return "Password must contain upper case letters, lower case letters and digits";
+    }
+    if (username && password.toLowerCase().includes(username.toLowerCase())) {
+        return "Password must not contain the username";
+    }
+    if (COMMON_PASSWORDS.includes(password.toLowerCase()) || /^(.)\1+$/.test(password)) {
+        return "Password is too common, please choose another one";
+    }
+    return null;
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    isHashed,
+    safeEqual,
+    hashPassword,
+    verifyPassword,
+    dummyVerify,
+    generateTemporaryPassword,
+    checkPasswordPolicy
+};
@@ -1,28 +1,248 @@
 const express = require('express');
 const fileUpload = require('express-fileupload');
-const xlsx = require('xlsx');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const store = require('./store');
+const passwords = require('./passwords');
+const sessions = require('./sessions');
+const access = require('./access');
+const invitations = require('./invitations');
+const loginThrottle = require('./login_throttle');
+const documents = require('./documents');
+const approvalChains = require('./approval_chains');
+const backups = require('./backups');
+const storageImport = require('./storage_import');
+const inventoryExport = require('./inventory_export');
+const stockLedger = require('./stock_ledger');
+const lifecycle = require('./lifecycle');
+const signatures = require('./signatures');
+const delegations = require('./delegations');
+const ageing = require('./ageing');
+const locations = require('./locations');
+const traceability = require('./traceability');
 const { promisify } = require('util');
 const writeFile = promisify(fs.writeFile);
 const readFile = promisify(fs.readFile);
 const mkdir = promisify(fs.mkdir);
-const unlink = promisify(fs.unlink);
-const readdir = promisify(fs.readdir);
 
 const app = express();
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag', 'Content-Disposition'] }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
-app.use(fileUpload());
-app.use('/uploads', express.static('uploads'));
 
 const PORT = 3000;
+const DB_FILE = 'inventory.db';
 const EXCEL_FILE = 'inventory.xlsx';
+const EXPORT_DELAY_MS = 2000;
+const BACKUP_DIR = 'backups';
+const BACKUP_KEEP_LAST = 20;
+const BACKUP_KEEP_DAYS = 30;
 const UPLOAD_DIR = 'uploads';
+const MAX_UPLOAD_MB = 20;
+const UPLOAD_QUOTA_MB = 200;
+const SIGNATURE_DIR = 'signatures';
 const USERS_FILE = 'users.json';
 const ADMIN_USERS_FILE = 'admin_users.json';
+const ADMIN_INVITES_FILE = 'admin_invitations.json';
+const APPROVAL_CHAINS_FILE = 'approval_chains.json';
+const DELEGATIONS_FILE = 'approval_delegations.json';
+const DELEGATION_MAX_DAYS = 90;
+const PENDING_OVERDUE_DAYS = 3;
+const PENDING_ESCALATE_DAYS = 7;
+const LOCATIONS_FILE = 'storage_locations.json';
+const SESSION_SECRET_FILE = 'session_secret.key';
+const SESSION_TTL_HOURS = 8;
+const LOGIN_LOCK_AFTER_FAILURES = 5;
+const LOGIN_LOCK_MINUTES = 15;
+
+// Uploads are kept in memory and cut off at the size limit (documents.js refuses truncated files)
+app.use(fileUpload({ limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 } }));
+app.use('/uploads', express.static(UPLOAD_DIR, {
+    dotfiles: 'deny',
+    setHeaders: (res) => res.setHeader('X-Content-Type-Options', 'nosniff')
+}));
+
+// API routes that can be called without a session
+const PUBLIC_API_ROUTES = [
+    'POST /api/login',
+    'POST /api/signup',
+    'POST /api/admin/login',
+    'POST /api/admin/signup'
+];
+
+// Routes still open to a session that must change its password
+const PASSWORD_CHANGE_ROUTES = [
+    'POST /api/account/password',
+    'POST /api/logout',
+    'GET /api/session'
+];
+
+// Method and path of a call as the route lists above spell them. Express
+// matches routes case-insensitively and ignores a trailing slash, so do the same.
+function routeOf(req) {
+    return `${req.method} ${req.path.toLowerCase().replace(/(.)\/+$/, '$1')}`;
+}
+
+// Authenticate every /api call except login and signup.
+// Expects "Authorization: Bearer <token>" and sets req.user = { id, name, role, roles, session }.
+function requireAuth(req, res, next) {
+    const route = routeOf(req);
+    const path = route.slice(req.method.length + 1);
+    if ((path !== '/api' && !path.startsWith('/api/')) || PUBLIC_API_ROUTES.includes(route)) {
+        return next();
+    }
+
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    const session = match ? sessions.verifyToken(match[1]) : null;
+    if (!session) {
+        return res.status(401).json({ success: false, error: "Please log in again (missing, invalid or expired session)" });
+    }
+
+    req.user = {
+        id: session.uid,
+        name: session.name,
+        role: session.role,
+        roles: session.roles || access.DEFAULT_ROLES[session.role] || {},
+        session
+    };
+
+    // After a forced reset the temporary password must be replaced before anything else
+    if (session.mustChangePassword && !PASSWORD_CHANGE_ROUTES.includes(route)) {
+        return res.status(403).json({
+            success: false,
+            mustChangePassword: true,
+            error: "Please change your temporary password first"
+        });
+    }
+    next();
+}
+
+// The user must hold at least one of the roles (for any subsystem)
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ success: false, error: "Please log in" });
+        }
+        if (!roles.some(role => access.hasRole(req.user.roles, role))) {
+            return res.status(403).json({ success: false, error: `This needs the ${roles.join(' or ')} role` });
+        }
+        next();
+    };
+}
+
+// The user's own roles plus the approval roles delegated to them that are in
+// force now (see delegations.js). Looked up once per request.
+function approvalRolesOf(req) {
+    if (!req.user.approvalRoles) {
+        req.user.delegations = delegations.activeFor(req.user.id);
+        req.user.approvalRoles = delegations.mergeRoles(req.user.roles, req.user.delegations);
+    }
+    return req.user.approvalRoles;
+}
+
+// The user must hold one of `roles` for the subsystem of every row (checked
+// against userRoles, the user's own roles unless given). Sends 403 and returns false if not.
+function checkAccess(req, res, roles, rows, userRoles = req.user.roles) {
+    if (access.canAccessRows(userRoles, roles, rows)) return true;
+    const subsystems = [...new Set(rows.map(item => access.subsystemOf(item) || 'unfiled'))];
+    res.status(403).json({
+        success: false,
+        error: `You need the ${roles.join(' or ')} role for ${subsystems.join(', ')} requests`
+    });
+    return false;
+}
+
+// The user must approve at some step of an approval chain, in their own right or
+// as a delegate (checked per request, since the chains are loaded at start-up)
+function requireApprover(req, res, next) {
+    const roles = approvalChains.approverRoles();
+    if (!req.user) {
+        return res.status(401).json({ success: false, error: "Please log in" });
+    }
+    if (!roles.some(role => access.hasRole(approvalRolesOf(req), role))) {
+        return res.status(403).json({ success: false, error: `This needs the ${roles.join(' or ')} role` });
+    }
+    next();
+}
+
+// Roles to check a lifecycle move against: returning a request for clarification
+// is an approver's decision, so delegated approval roles count for it
+function transitionUserRoles(req, to) {
+    return to === lifecycle.RETURNED_FOR_CLARIFICATION ? approvalRolesOf(req) : req.user.roles;
+}
+
+// Who a decision on `rows` at `step` is made for: { onBehalfOf, delegation } when
+// the user acts under a delegation, or null when it is their own step
+function delegationFor(req, step, rows) {
+    approvalRolesOf(req);
+    const delegation = delegations.coveringDelegation(req.user.roles, req.user.delegations, step.role, rows);
+    return delegation ? { onBehalfOf: delegation.from, delegation: delegation.id } : null;
+}
+
+// Roles that may change a request of the given type ('issue' or 'storage')
+function editorRoles(type) {
+    return type === 'storage' || type === 'return' ? ['storekeeper', 'systemManager'] : ['requester', 'systemManager'];
+}
+
+// Request type of a row, for editorRoles
+function rowType(item) {
+    if (item.Type === 'Stored Component') return 'storage';
+    if (item.Type === 'Returned Component') return 'return';
+    return 'issue';
+}
+
+// Roles that may move a request to lifecycle state `to`; currentStep is the
+// approval step it waits at. Approved and Rejected are only set by the approve
+// and reject routes, so no role moves a request there directly.
+function transitionRoles(type, to, currentStep) {
+    if (to === lifecycle.SUBMITTED || to === lifecycle.CANCELLED) return editorRoles(type);
+    if (to === lifecycle.RETURNED_FOR_CLARIFICATION) return currentStep ? [currentStep.role] : [];
+    if (to === lifecycle.ISSUED) return ['storekeeper'];
+    if (to === lifecycle.CLOSED) return ['storekeeper', 'systemManager'];
+    return [];
+}
+
+// Lifecycle states the user may move a row to, for the action buttons
+function allowedStates(req, item) {
+    const type = rowType(item);
+    const { currentStep } = approvalChains.lineProgress(type, item);
+    return lifecycle.nextStates(item).filter(to => transitionRoles(type, to, currentStep)
+        .some(role => access.canAccess(transitionUserRoles(req, to), role, access.subsystemOf(item))));
+}
+
+// Whether a create or edit form was saved as a draft instead of submitted
+function isDraftRequest(body) {
+    return Boolean(body) && (body.draft === true || body.draft === 'true');
+}
+
+// Store a signature drawn on a form (a PNG data URL) and return the reference
+// kept on the record: { path, sha256 }. Missing or blank canvases throw with status 400.
+async function storeSignature(dataUrl, who, options) {
+    const { file, sha256 } = await signatures.saveSignature(dataUrl, who, options);
+    return { path: `/api/signatures/${file}`, sha256 };
+}
+
+// Signature references on a row: the requester's, the final approval's and each step's
+function signatureRefs(item) {
+    const approvals = Array.isArray(item['Approvals']) ? item['Approvals'] : [];
+    return [item['Requester Signature'], item['Approval Signature'], ...approvals.map(approval => approval.signature)]
+        .filter(value => typeof value === 'string');
+}
+
+// Only admins (approvers) may call the route
+function requireAdmin(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ success: false, error: "Please log in" });
+    }
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ success: false, error: "Admin access required" });
+    }
+    next();
+}
+
+app.use(requireAuth);
 
 // Ensure upload directory exists
 async function ensureUploadDir() {
@@ -63,7 +283,7 @@ async function loadUsers(isAdmin = false) {
 async function saveUsers(users, isAdmin = false) {
     try {
         const file = isAdmin ? ADMIN_USERS_FILE : USERS_FILE;
-        await writeFile(file, JSON.stringify(users, null, 2));
+        store.writeFileAtomicSync(file, JSON.stringify(users, null, 2));
         return true;
     } catch (error) {
         console.error("Error saving users:", error);
@@ -77,106 +297,289 @@ async function usernameExists(username, isAdmin = false) {
     return users.some(user => user.username.toLowerCase() === username.toLowerCase());
 }
 
-// Find user by username and password
-async function findUser(username, password, isAdmin = false) {
-    const users = await loadUsers(isAdmin);
-    return users.find(user => 
-        user.username.toLowerCase() === username.toLowerCase() && 
-        user.password === password
-    );
+// Serialize changes to the user files (signup, password re-hashing)
+let usersQueue = Promise.resolve();
+function withUsersLock(task) {
+    const run = usersQueue.then(() => task());
+    usersQueue = run.catch(() => {});
+    return run;
 }
 
-// Register new user
-async function registerUser(username, password, isAdmin = false) {
-    try {
+// Find user by username and password.
+// Entries still holding a plaintext password are re-hashed on their first successful login.
+async function findUser(username, password, isAdmin = false) {
+    return withUsersLock(async () => {
         const users = await loadUsers(isAdmin);
+        const user = users.find(user => user.username.toLowerCase() === username.toLowerCase());
         
-        if (await usernameExists(username, isAdmin)) {
-            return { success: false, message: "Username already exists" };
+        if (!user) {
+            await passwords.dummyVerify(password);
+            return undefined;
         }
         
-        const newUser = {
-            id: `${isAdmin ? 'ADMIN' : 'USER'}-${Date.now()}`,
-            username: username,
-            password: password,
-            createdAt: new Date().toISOString(),
-            role: isAdmin ? 'admin' : 'user'
-        };
+        let valid, needsRehash;
+        if (user.passwordHash) {
+            ({ valid, needsRehash } = await passwords.verifyPassword(password, user.passwordHash));
+        } else {
+            await passwords.dummyVerify(password);
+            valid = typeof user.password === 'string' && passwords.safeEqual(password, user.password);
+            needsRehash = true;
+        }
         
-        users.push(newUser);
-        const saved = await saveUsers(users, isAdmin);
+        if (!valid) return undefined;
         
-        if (saved) {
-            return { 
-                success: true, 
-                message: "User registered successfully",
-                user: { id: newUser.id, username: newUser.username, role: newUser.role }
-            };
-        } else {
-            return { success: false, message: "Failed to save user" };
+        if (needsRehash) {
+            user.passwordHash = await passwords.hashPassword(password);
+            delete user.password;
+            if (await saveUsers(users, isAdmin)) {
+                console.log(`Password for ${user.username} re-hashed`);
+            }
         }
-    } catch (error) {
-        console.error("Error registering user:", error);
-        return { success: false, message: "Registration failed" };
+        
+        return user;
+    });
+}
+
+// Why an account with a correct password still may not log in, or null
+function accountLoginProblem(user) {
+    if (user.status === 'pending') return "Your account is awaiting activation by an admin";
+    if (user.status === 'disabled') return "This account has been disabled. Please contact an admin";
+    return null;
+}
+
+// Account details that are safe to send to the admin screen
+function describeAccount(user, isAdmin) {
+    return {
+        id: user.id,
+        username: user.username,
+        kind: isAdmin ? 'admin' : 'user',
+        status: user.status || 'active',
+        roles: access.rolesOf({ ...user, role: isAdmin ? 'admin' : 'user' }),
+        mustChangePassword: Boolean(user.mustChangePassword),
+        lockedUntil: loginThrottle.lockedUntil(isAdmin ? 'admin' : 'user', user.username),
+        createdAt: user.createdAt,
+        disabledBy: user.disabledBy,
+        disabledAt: user.disabledAt
+    };
+}
+
+// Change one account (scientist or admin, found by id) under the users lock.
+// change(user, isAdmin, admins) may return an error message to refuse the change.
+// Resolves to { user, isAdmin } or { error, status }.
+async function updateAccount(id, change) {
+    return withUsersLock(async () => {
+        const admins = await loadUsers(true);
+        const users = await loadUsers(false);
+        const isAdmin = admins.some(item => item.id === id);
+        const list = isAdmin ? admins : users;
+        const user = list.find(item => item.id === id);
+        
+        if (!user) return { error: "Account not found", status: 404 };
+        
+        const refusal = await change(user, isAdmin, admins);
+        if (refusal) return { error: refusal, status: 400 };
+        
+        if (!await saveUsers(list, isAdmin)) return { error: "Failed to save account", status: 500 };
+        return { user, isAdmin };
+    });
+}
+
+// Throttle, check and log a login attempt. Resolves to the account, or to
+// null once a refusal (throttled, locked, wrong password, disabled) has been sent.
+async function attemptLogin(req, res, isAdmin) {
+    const { username, password } = req.body || {};
+    const kind = isAdmin ? 'admin' : 'user';
+    
+    if (!username || !password) {
+        res.status(400).json({ success: false, message: "Username and password are required" });
+        return null;
+    }
+    // Checked before anything is hashed or looked up
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        res.status(400).json({ success: false, message: "Username and password must be text" });
+        return null;
     }
+    
+    const blocked = loginThrottle.checkLogin(kind, username, req.ip);
+    if (blocked) {
+        loginThrottle.recordRefused(kind, username, req.ip, blocked.reason);
+        res.setHeader('Retry-After', Math.ceil(blocked.retryAfterMs / 1000));
+        res.status(429).json({ success: false, message: blocked.message });
+        return null;
+    }
+    
+    const user = await loginThrottle.guardAttempt(kind, username, () => findUser(username, password, isAdmin));
+    if (!user) {
+        const locked = loginThrottle.recordFailure(kind, username, req.ip);
+        res.status(401).json({
+            success: false,
+            message: locked
+                ? `Too many failed logins. This account is locked for ${LOGIN_LOCK_MINUTES} minutes or until an admin unlocks it`
+                : isAdmin ? "Invalid admin credentials" : "Invalid username or password"
+        });
+        return null;
+    }
+    
+    const problem = accountLoginProblem(user);
+    if (problem) {
+        loginThrottle.recordRefused(kind, username, req.ip, problem);
+        res.status(403).json({ success: false, message: problem });
+        return null;
+    }
+    
+    loginThrottle.recordSuccess(kind, username, req.ip);
+    return user;
 }
 
-// Load data from Excel (or create new file if it doesn't exist)
-function loadExcelSync() {
+// Register new user.
+// options.fields are extra properties for the account (or a function returning
+// them, called after authorize); options.authorize(users)
+// runs under the users lock and may return an error message to refuse the signup;
+// options.onCreated(user) runs under the same lock once the account is saved.
+async function registerUser(username, password, isAdmin = false, options = {}) {
     try {
-        if (!fs.existsSync(EXCEL_FILE)) {
-            const defaultData = [];
-            const newWB = xlsx.utils.book_new();
-            const newWS = xlsx.utils.json_to_sheet(defaultData);
-            xlsx.utils.book_append_sheet(newWB, newWS, "Inventory");
-            xlsx.writeFile(newWB, EXCEL_FILE);
-            return defaultData;
-        }
-
-        const wb = xlsx.readFile(EXCEL_FILE);
-        const ws = wb.Sheets[wb.SheetNames[0]];
-        const data = xlsx.utils.sheet_to_json(ws);
+        const passwordHash = await passwords.hashPassword(password);
         
-        return data.filter(item => 
-            (item['Component ID'] && item['Component ID'].toString().trim() !== '') ||
-            (item['Part No'] && item['Part No'].toString().trim() !== '')
-        );
+        return await withUsersLock(async () => {
+            const users = await loadUsers(isAdmin);
+            
+            const refusal = options.authorize ? options.authorize(users) : null;
+            if (refusal) {
+                return { success: false, message: refusal };
+            }
+            
+            if (await usernameExists(username, isAdmin)) {
+                return { success: false, message: "Username already exists" };
+            }
+            
+            const newUser = {
+                id: `${isAdmin ? 'ADMIN' : 'USER'}-${Date.now()}`,
+                username: username,
+                passwordHash: passwordHash,
+                createdAt: new Date().toISOString(),
+                role: isAdmin ? 'admin' : 'user',
+                ...(typeof options.fields === 'function' ? options.fields() : options.fields || {})
+            };
+            
+            users.push(newUser);
+            const saved = await saveUsers(users, isAdmin);
+            
+            if (saved && options.onCreated) {
+                options.onCreated(newUser);
+            }
+            
+            if (saved) {
+                return { 
+                    success: true, 
+                    message: "User registered successfully",
+                    user: { id: newUser.id, username: newUser.username, role: newUser.role }
+                };
+            } else {
+                return { success: false, message: "Failed to save user" };
+            }
+        });
     } catch (error) {
-        console.error("Error loading Excel:", error);
-        return [];
+        console.error("Error registering user:", error);
+        return { success: false, message: "Registration failed" };
     }
 }
 
-// Save data to Excel - SYNCHRONOUS VERSION
-function saveToExcelSync(data) {
+// Load all inventory rows from the store
+function loadInventory() {
+    return store.loadAll();
+}
+
+// Save inventory rows to the store; only changed rows are written.
+// An optional audit entry is journalled in the same transaction.
+function saveInventory(data, audit) {
     try {
-        console.log('Attempting to save data to Excel...');
-        console.log('Number of items:', data.length);
-        
-        // Create new workbook
-        const newWB = xlsx.utils.book_new();
-        const newWS = xlsx.utils.json_to_sheet(data);
-        xlsx.utils.book_append_sheet(newWB, newWS, "Inventory");
-        
-        // Write file synchronously
-        xlsx.writeFile(newWB, EXCEL_FILE);
-        
-        console.log('Excel file saved successfully');
-        
-        // Verify the save
-        const verifyWB = xlsx.readFile(EXCEL_FILE);
-        const verifyWS = verifyWB.Sheets[verifyWB.SheetNames[0]];
-        const verifyData = xlsx.utils.sheet_to_json(verifyWS);
-        console.log('Verification: Items in file:', verifyData.length);
-        
+        backups.takeSnapshot();
+        store.transaction(() => {
+            store.saveAll(data);
+            if (audit) store.appendAudit(audit);
+        });
+        scheduleExcelExport();
         return true;
     } catch (error) {
-        console.error("Error saving Excel:", error);
+        console.error("Error saving inventory:", error);
         console.error("Error details:", error.message);
         return false;
     }
 }
 
+// Refresh the inventory.xlsx export shortly after the last change.
+// The workbook is a read-only copy; the database is the source of truth.
+let exportTimer = null;
+function scheduleExcelExport() {
+    clearTimeout(exportTimer);
+    exportTimer = setTimeout(() => {
+        try {
+            store.exportWorkbook(EXCEL_FILE);
+        } catch (error) {
+            console.error("Error exporting Excel:", error);
+        }
+    }, EXPORT_DELAY_MS);
+}
+
+// Name of the logged-in user making the request
+function getActor(req) {
+    return req.user ? req.user.name : 'Unknown';
+}
+
+// Build an audit journal entry describing the rows a request changed
+function auditEntry(req, action, before, after) {
+    return buildAuditEntry(getActor(req), `${req.method} ${req.originalUrl}`, action, before, after);
+}
+
+function buildAuditEntry(actor, route, action, before, after) {
+    const rows = [...before, ...after];
+    const unique = values => [...new Set(values.filter(Boolean).map(value => value.toString()))];
+
+    return {
+        actor,
+        route,
+        action,
+        componentIds: unique(rows.flatMap(item => [item['Component ID'], item['Returned Component ID']])),
+        ionNos: unique(rows.flatMap(item => [item['Issue No'], item['Storage No'], item['Return No'], item['Returned From ION']])),
+        before,
+        after
+    };
+}
+
+// Rows of `rows` that are missing or different in `otherRows`, matched by Component ID
+function changedRows(rows, otherRows) {
+    const others = new Map(otherRows.map(item => [item['Component ID'], JSON.stringify(item)]));
+    return rows.filter(item => others.get(item['Component ID']) !== JSON.stringify(item));
+}
+
+// Replace the inventory with a snapshot's rows, journalling the restore.
+// The current state is snapshotted first so the restore can be undone.
+function restoreInventory(name, actor, route) {
+    const file = backups.snapshotPath(name);
+    if (!fs.existsSync(file)) {
+        const error = new Error(`Snapshot not found: ${name}`);
+        error.status = 404;
+        throw error;
+    }
+
+    backups.takeSnapshot();
+    const count = store.restoreComponentsFrom(file, (before, after) =>
+        buildAuditEntry(actor, route, 'restore', changedRows(before, after), changedRows(after, before))
+    );
+    scheduleExcelExport();
+    return count;
+}
+
+// Serialize read-modify-write operations on the inventory.
+// Each task runs only after the previous one has finished, so two requests
+// can never load the same rows and overwrite each other's changes.
+let inventoryQueue = Promise.resolve();
+function withInventoryLock(task) {
+    const run = inventoryQueue.then(() => task());
+    inventoryQueue = run.catch(() => {});
+    return run;
+}
+
 // Generate unique component ID
 function generateComponentId(existingData) {
     const existingIds = existingData
@@ -204,17 +607,20 @@ app.post('/api/signup', async (req, res) => {
         return res.status(400).json({ success: false, message: "Username must be at least 3 characters long" });
     }
     
-    if (password.length < 4) {
-        return res.status(400).json({ success: false, message: "Password must be at least 4 characters long" });
+    const passwordProblem = passwords.checkPasswordPolicy(password, username);
+    if (passwordProblem) {
+        return res.status(400).json({ success: false, message: passwordProblem });
     }
     
-    const result = await registerUser(username, password, false);
+    // New scientists wait for an admin to activate the account
+    const result = await registerUser(username, password, false, { fields: { status: 'pending' } });
     
     if (result.success) {
+        console.log(`New signup awaiting activation: ${username}`);
         res.json({ 
             success: true, 
-            message: "Signup successful! Please login.",
-            user: result.user
+            message: "Signup received! An admin must activate your account before you can log in.",
+            user: { ...result.user, status: 'pending' }
         });
     } else {
         res.status(400).json(result);
@@ -223,36 +629,32 @@ app.post('/api/signup', async (req, res) => {
 
 // Regular user login
 app.post('/api/login', async (req, res) => {
-    const { username, password } = req.body;
-    
-    if (!username || !password) {
-        return res.status(400).json({ success: false, message: "Username and password are required" });
-    }
-    
-    const user = await findUser(username, password, false);
+    const user = await attemptLogin(req, res, false);
+    if (!user) return;
     
-    if (user) {
-        res.json({ 
-            success: true,
-            message: "Login successful!",
-            user: { 
-                id: user.id,
-                name: user.username,
-                role: 'user',
-                token: 'user-token-' + Math.random().toString(36).substr(2)
-            } 
-        });
-    } else {
-        res.status(401).json({ 
-            success: false, 
-            message: "Invalid username or password" 
-        });
-    }
+    const roles = access.rolesOf({ ...user, role: 'user' });
+    const mustChangePassword = Boolean(user.mustChangePassword);
+    const { token, expiresAt } = sessions.issueToken({ id: user.id, name: user.username, role: 'user', roles, mustChangePassword });
+    res.json({ 
+        success: true,
+        message: "Login successful!",
+        user: { 
+            id: user.id,
+            name: user.username,
+            role: 'user',
+            roles,
+            mustChangePassword,
+            token,
+            expiresAt
+        } 
+    });
 });
 
-// Admin signup
+// Admin signup. Needs an invitation code from an existing admin, or, while
+// there are no admins yet, the setup token printed on the server console.
 app.post('/api/admin/signup', async (req, res) => {
     const { username, password } = req.body;
+    const invitationCode = (req.body.invitationCode || '').toString().trim();
     
     if (!username || !password) {
         return res.status(400).json({ success: false, message: "Username and password are required" });
@@ -262,13 +664,41 @@ app.post('/api/admin/signup', async (req, res) => {
         return res.status(400).json({ success: false, message: "Username must be at least 3 characters long" });
     }
     
-    if (password.length < 4) {
-        return res.status(400).json({ success: false, message: "Password must be at least 4 characters long" });
+    const passwordProblem = passwords.checkPasswordPolicy(password, username);
+    if (passwordProblem) {
+        return res.status(400).json({ success: false, message: passwordProblem });
+    }
+    
+    if (!invitationCode) {
+        return res.status(400).json({ success: false, message: "An invitation code (or the setup token) is required" });
     }
     
-    const result = await registerUser(username, password, true);
+    let invitation = null;
+    let usedSetupToken = false;
+    const result = await registerUser(username, password, true, {
+        authorize: (admins) => {
+            if (admins.length === 0 && invitations.checkSetupToken(invitationCode)) {
+                usedSetupToken = true;
+                return null;
+            }
+            invitation = invitations.findOpenInvitation(invitationCode);
+            return invitation ? null : "Invalid, expired or already used invitation code";
+        },
+        onCreated: (user) => {
+            if (usedSetupToken) {
+                invitations.clearSetupToken();
+            } else {
+                invitations.markInvitationUsed(invitation.id, user.username);
+            }
+        },
+        // Roles chosen by the inviting admin, if any
+        fields: () => (invitation && invitation.roles ? { roles: invitation.roles } : {})
+    });
     
     if (result.success) {
+        console.log(usedSetupToken
+            ? `First admin created with the setup token: ${username}`
+            : `Admin ${username} created with invitation ${invitation.id} from ${invitation.createdBy}`);
         res.json({ 
             success: true, 
             message: "Admin signup successful! Please login.",
@@ -281,378 +711,1759 @@ app.post('/api/admin/signup', async (req, res) => {
 
 // Admin login endpoint
 app.post('/api/admin/login', async (req, res) => {
-    const { username, password } = req.body;
-    
-    if (!username || !password) {
-        return res.status(400).json({ success: false, message: "Username and password are required" });
-    }
+    const user = await attemptLogin(req, res, true);
+    if (!user) return;
     
-    const user = await findUser(username, password, true);
-    
-    if (user) {
-        res.json({ 
+    const roles = access.rolesOf({ ...user, role: 'admin' });
+    const mustChangePassword = Boolean(user.mustChangePassword);
+    const { token, expiresAt } = sessions.issueToken({ id: user.id, name: user.username, role: 'admin', roles, mustChangePassword });
+    res.json({ 
+        success: true,
+        message: "Admin login successful!",
+        user: { 
+            id: user.id,
+            name: user.username,
+            role: 'admin',
+            roles,
+            mustChangePassword,
+            token,
+            expiresAt
+        } 
+    });
+});
+
+// Create a single-use invitation code for a new admin account.
+// Body: { ttlHours?, roles? } - roles as in access.js; the code is shown only once.
+app.post('/api/admin/invitations', requireAdmin, async (req, res) => {
+    try {
+        let roles = null;
+        if (req.body.roles) {
+            const normalized = access.normalizeRoles(req.body.roles);
+            if (normalized.error) {
+                return res.status(400).json({ success: false, error: normalized.error });
+            }
+            roles = normalized.roles;
+        }
+        
+        const { code, invitation } = invitations.createInvitation(req.user.name, { ttlHours: req.body.ttlHours, roles });
+        console.log(`Invitation ${invitation.id} created by ${req.user.name}, expires ${invitation.expiresAt}`);
+        res.json({
             success: true,
-            message: "Admin login successful!",
-            user: { 
-                id: user.id,
-                name: user.username,
-                role: 'admin',
-                token: 'admin-token-' + Math.random().toString(36).substr(2)
-            } 
-        });
-    } else {
-        res.status(401).json({ 
-            success: false, 
-            message: "Invalid admin credentials" 
+            message: `Invitation created. Give this code to the new admin: ${code}`,
+            code,
+            invitation
         });
+    } catch (error) {
+        console.error("Error creating invitation:", error);
+        res.status(500).json({ success: false, error: "Failed to create invitation" });
     }
 });
 
-// Get inventory data
-app.get('/api/inventory', async (req, res) => {
+// List admin invitations (codes are never shown again)
+app.get('/api/admin/invitations', requireAdmin, async (req, res) => {
     try {
-        const data = loadExcelSync();
         res.setHeader('Cache-Control', 'no-store');
-        res.json(data);
+        res.json(invitations.listInvitations());
     } catch (error) {
-        console.error("Error fetching inventory:", error);
-        res.status(500).json({ error: "Failed to load inventory" });
+        console.error("Error listing invitations:", error);
+        res.status(500).json({ success: false, error: "Failed to load invitations" });
     }
 });
 
-// Get single component details by ID
-app.get('/api/components/:identifier', async (req, res) => {
+// Withdraw an unused invitation
+app.delete('/api/admin/invitations/:id', requireAdmin, async (req, res) => {
     try {
-        const identifier = req.params.identifier;
-        const currentData = loadExcelSync();
-        
-        // Find the component
-        const component = currentData.find(item => {
-            const issueNo = item['Issue No'] ? item['Issue No'].toString() : null;
-            const storageNo = item['Storage No'] ? item['Storage No'].toString() : null;
-            const componentId = item['Component ID'] ? item['Component ID'].toString() : null;
-            const id = identifier.toString();
-            
-            return issueNo === id || storageNo === id || componentId === id;
-        });
-        
-        if (!component) {
-            return res.status(404).json({ error: "Component not found" });
+        if (!invitations.revokeInvitation(req.params.id)) {
+            return res.status(404).json({ success: false, error: "No open invitation with that id" });
         }
-        
-        res.json(component);
+        console.log(`Invitation ${req.params.id} revoked by ${req.user.name}`);
+        res.json({ success: true, message: "Invitation revoked" });
     } catch (error) {
-        console.error("Error fetching component:", error);
-        res.status(500).json({ error: "Failed to load component" });
+        console.error("Error revoking invitation:", error);
+        res.status(500).json({ success: false, error: "Failed to revoke invitation" });
     }
 });
 
-// Get pending requests for admin
-app.get('/api/requests/pending', async (req, res) => {
+// Delegate your approval roles to another admin while you are away.
+// Body: { to, subsystem?, startsAt?, endsAt, reason? } - `to` is the delegate's
+// username; dates are YYYY-MM-DD (the end date counts in full) or ISO times.
+app.post('/api/admin/delegations', requireAdmin, async (req, res) => {
     try {
-        const data = loadExcelSync();
-        
-        // Group by Issue No or Storage No
-        const groupedRequests = {};
-        
-        data.forEach(item => {
-            if (item.Status && item.Status.toString().toLowerCase() === 'pending') {
-                const groupKey = item['Issue No'] || item['Storage No'];
-                
-                if (groupKey) {
-                    if (!groupedRequests[groupKey]) {
-                        groupedRequests[groupKey] = { ...item };
-                    }
-                }
-            }
+        const username = (req.body.to || '').toString().trim();
+        const delegate = (await loadUsers(true)).find(user => user.username === username);
+        if (!delegate || (delegate.status || 'active') !== 'active') {
+            return res.status(400).json({ success: false, error: `No active admin account named "${username}"` });
+        }
+
+        const delegation = delegations.createDelegation(
+            { id: req.user.id, name: req.user.name },
+            { id: delegate.id, name: delegate.username },
+            req.user.roles,
+            approvalChains.approverRoles(),
+            req.body
+        );
+        console.log(`Delegation ${delegation.id}: ${delegation.from} -> ${delegation.to} until ${delegation.endsAt}`);
+        res.json({
+            success: true,
+            message: `${delegation.to} can approve for you` + (delegation.subsystem ? ` (${delegation.subsystem} only)` : '') +
+                ` from ${new Date(delegation.startsAt).toLocaleString()} to ${new Date(delegation.endsAt).toLocaleString()}`,
+            delegation
         });
-        
-        const pendingRequests = Object.values(groupedRequests);
-        console.log('Pending requests found:', pendingRequests.length);
-        res.json(pendingRequests);
     } catch (error) {
-        console.error("Error fetching pending requests:", error);
-        res.status(500).json({ error: "Failed to load pending requests" });
+        console.error("Error creating delegation:", error);
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : "Failed to create delegation" });
     }
 });
 
-// Issue components endpoint with file upload support
-app.post('/api/issue', async (req, res) => {
+// Every delegation, with its status (scheduled, active, expired or revoked)
+app.get('/api/admin/delegations', requireAdmin, async (req, res) => {
     try {
-        await ensureUploadDir();
-        const currentData = loadExcelSync();
-        
-        // Parse components from form data
-        const components = JSON.parse(req.body.components);
-        const { issueNo, issueDate, requestText, issueTo, issueFor, systemManager, submittedBy } = req.body;
-        
-        if (!components || components.length === 0) {
-    return res.status(400).json({ error: "At least one component is required" });
-}
-        
-        const newItems = [];
-        
-        for (let i = 0; i < components.length; i++) {
-            const component = components[i];
-            
-            // Handle PDF file upload if exists
-            let pdfFileName = null;
-            if (component.hasPdf && req.files && req.files[`soPdf_${component.pdfIndex}`]) {
-                const pdfFile = req.files[`soPdf_${component.pdfIndex}`];
-                const timestamp = Date.now();
-                const sanitizedPartNo = component.partNo.replace(/[^a-zA-Z0-9]/g, '_');
-                pdfFileName = `SO_${issueNo}_${sanitizedPartNo}_${timestamp}.pdf`;
-                const pdfPath = path.join(UPLOAD_DIR, pdfFileName);
-                
-                await pdfFile.mv(pdfPath);
-                console.log(`PDF saved: ${pdfFileName}`);
-            }
-            
-            const newItem = {
-                "Component ID": generateComponentId([...currentData, ...newItems]),
-                "Name": component.partDescription || "Issued Component",
-                "Part No": component.partNo,
-                "Part Description": component.partDescription,
-                "Type": "Issued Component",
-                "Status": "Pending",
-                "Date": new Date().toISOString().split('T')[0],
-                "Issued To": issueTo,
-                "Issue No": issueNo,
-                "Issue Date": component.issueDate || issueDate,
-                "Request Text": requestText,
-                "Issue For": issueFor,
-                "System Manager": systemManager,
-                "Serial No": component.serialNo,
-                "S.No as per SO": component.snoSO,
-                "Manufacturer": component.manufacturer,
-                "Quality Grade": component.qualityGrade,
-                "Sub System": component.subSystem,
-                "Quantity Each": component.quantityEach,
-                "Total Quantity": component.totalQuantity,
-                "SO No": component.soNo,
-                "SO PDF": pdfFileName ? `/uploads/${pdfFileName}` : null,
-                "Submitted By": submittedBy
-            };
-            newItems.push(newItem);
-        }
-        
-        const updatedData = [...currentData, ...newItems];
-        const success = saveToExcelSync(updatedData);
-        
-        if (success) {
-            res.json({ 
-                success: true, 
-                message: `Successfully submitted ${components.length} components for approval`,
-                data: updatedData 
-            });
-        } else {
-            res.status(500).json({ error: "Failed to save issue data" });
+        res.setHeader('Cache-Control', 'no-store');
+        res.json(delegations.listDelegations());
+    } catch (error) {
+        console.error("Error listing delegations:", error);
+        res.status(500).json({ success: false, error: "Failed to load delegations" });
+    }
+});
+
+// End a delegation early (the approver who delegated or the delegate)
+app.delete('/api/admin/delegations/:id', requireAdmin, async (req, res) => {
+    try {
+        const result = delegations.revokeDelegation(req.params.id, { id: req.user.id, name: req.user.name });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
         }
+        console.log(`Delegation ${req.params.id} revoked by ${req.user.name}`);
+        res.json({ success: true, message: "Delegation ended", delegation: result.delegation });
     } catch (error) {
-        console.error("Error processing issue:", error);
-        res.status(500).json({ error: "Failed to process component issue: " + error.message });
+        console.error("Error revoking delegation:", error);
+        res.status(500).json({ success: false, error: "Failed to end delegation" });
     }
 });
 
-// Storage components endpoint
-app.post('/api/storage', async (req, res) => {
-    try {
-        const currentData = loadExcelSync();
-        const { storageNo, storageDate, soNumber, systemManager, components } = req.body;
-        
-        if (!components || components.length === 0) {
-    return res.status(400).json({ error: "At least one component is required" });
-}
-        
-        const newItems = [];
-        
-        for (const component of components) {
-            const newItem = {
-                "Component ID": generateComponentId([...currentData, ...newItems]),
-                "Name": component.partDescription || "Stored Component",
-                "Part No": component.partNo,
-                "Part Description": component.partDescription,
-                "Type": "Stored Component",
-                "Status": "Pending",
-                "Date": new Date().toISOString().split('T')[0],
-                "Storage No": storageNo,
-                "Storage Date": storageDate,
-                "SO Number": soNumber,
-                "System Manager": systemManager,
-                "Serial No": component.serialNo,
-                "S.No as per PO": component.snoPO,
-                "Grade": component.grade,
-                "Storage Quantity": component.quantity,
-                "Storage Temperature": component.storageTemp,
-                "Relative Humidity": component.relativeHumidity,
-                "Storage Data": component.storageData,
-                "Delivery Date": component.deliveryDate,
-                "SO No": soNumber
-            };
-            newItems.push(newItem);
+// Scientist signups waiting for activation
+app.get('/api/admin/users/pending', requireAdmin, async (req, res) => {
+    try {
+        const users = await loadUsers(false);
+        res.setHeader('Cache-Control', 'no-store');
+        res.json(users
+            .filter(user => user.status === 'pending')
+            .map(user => ({ id: user.id, username: user.username, createdAt: user.createdAt })));
+    } catch (error) {
+        console.error("Error listing pending users:", error);
+        res.status(500).json({ success: false, error: "Failed to load pending signups" });
+    }
+});
+
+// Activate a pending scientist account, optionally with roles: { roles? }
+app.post('/api/admin/users/:id/activate', requireAdmin, async (req, res) => {
+    try {
+        let roles = null;
+        if (req.body && req.body.roles) {
+            const normalized = access.normalizeRoles(req.body.roles);
+            if (normalized.error) {
+                return res.status(400).json({ success: false, error: normalized.error });
+            }
+            roles = normalized.roles;
         }
         
-        const updatedData = [...currentData, ...newItems];
-        const success = saveToExcelSync(updatedData);
+        const result = await withUsersLock(async () => {
+            const users = await loadUsers(false);
+            const user = users.find(item => item.id === req.params.id && item.status === 'pending');
+            if (!user) return null;
+            
+            user.status = 'active';
+            user.activatedBy = req.user.name;
+            user.activatedAt = new Date().toISOString();
+            if (roles) user.roles = roles;
+            return await saveUsers(users, false) ? user : false;
+        });
         
-        if (success) {
-            res.json({ 
-                success: true, 
-                message: `Successfully submitted ${components.length} components for storage approval`,
-                data: updatedData 
-            });
-        } else {
-            res.status(500).json({ error: "Failed to save storage data" });
+        if (result === null) {
+            return res.status(404).json({ success: false, error: "No pending signup with that id" });
+        }
+        if (result === false) {
+            return res.status(500).json({ success: false, error: "Failed to save user" });
         }
+        
+        console.log(`User ${result.username} activated by ${req.user.name}`);
+        res.json({ success: true, message: `${result.username} can now log in` });
     } catch (error) {
-        console.error("Error processing storage:", error);
-        res.status(500).json({ error: "Failed to process component storage" });
+        console.error("Error activating user:", error);
+        res.status(500).json({ success: false, error: "Failed to activate user" });
     }
 });
 
-// Approve request endpoint - COMPLETELY FIXED
-app.post('/api/requests/approve', async (req, res) => {
+// Turn down a pending signup (the account is removed)
+app.post('/api/admin/users/:id/decline', requireAdmin, async (req, res) => {
     try {
-        const { requestId, approvalData } = req.body;
-        console.log('\n=== APPROVAL REQUEST ===');
-        console.log('Request ID:', requestId);
-        console.log('Approved By:', approvalData.approvedBy);
-        
-        const currentData = loadExcelSync();
-        console.log('Total items in Excel:', currentData.length);
+        const result = await withUsersLock(async () => {
+            const users = await loadUsers(false);
+            const user = users.find(item => item.id === req.params.id && item.status === 'pending');
+            if (!user) return null;
+            
+            return await saveUsers(users.filter(item => item !== user), false) ? user : false;
+        });
+        
+        if (result === null) {
+            return res.status(404).json({ success: false, error: "No pending signup with that id" });
+        }
+        if (result === false) {
+            return res.status(500).json({ success: false, error: "Failed to save users" });
+        }
+        
+        console.log(`Signup ${result.username} declined by ${req.user.name}`);
+        res.json({ success: true, message: `Signup ${result.username} declined` });
+    } catch (error) {
+        console.error("Error declining user:", error);
+        res.status(500).json({ success: false, error: "Failed to decline signup" });
+    }
+});
+
+// All scientist and admin accounts
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
+    try {
+        const admins = await loadUsers(true);
+        const users = await loadUsers(false);
+        res.setHeader('Cache-Control', 'no-store');
+        res.json([
+            ...admins.map(user => describeAccount(user, true)),
+            ...users.map(user => describeAccount(user, false))
+        ]);
+    } catch (error) {
+        console.error("Error listing accounts:", error);
+        res.status(500).json({ success: false, error: "Failed to load accounts" });
+    }
+});
+
+// Disable an account and end its sessions. The account is kept, so the
+// requests and approvals recorded under its name stay attributed to it.
+app.post('/api/admin/users/:id/disable', requireAdmin, async (req, res) => {
+    try {
+        const result = await updateAccount(req.params.id, (user, isAdmin, admins) => {
+            if (user.id === req.user.id) return "You cannot disable your own account";
+            if (user.status === 'pending') return "Pending signups are activated or declined, not disabled";
+            if (user.status === 'disabled') return `${user.username} is already disabled`;
+            if (isAdmin && admins.filter(item => item.status !== 'disabled').length <= 1) {
+                return "The last active admin cannot be disabled";
+            }
+            user.status = 'disabled';
+            user.disabledBy = req.user.name;
+            user.disabledAt = new Date().toISOString();
+        });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        
+        sessions.revokeUser(result.user.id);
+        console.log(`Account ${result.user.username} disabled by ${req.user.name}`);
+        res.json({ success: true, message: `${result.user.username} is disabled and has been logged out` });
+    } catch (error) {
+        console.error("Error disabling account:", error);
+        res.status(500).json({ success: false, error: "Failed to disable account" });
+    }
+});
+
+// Re-enable a disabled account
+app.post('/api/admin/users/:id/enable', requireAdmin, async (req, res) => {
+    try {
+        const result = await updateAccount(req.params.id, (user) => {
+            if (user.status !== 'disabled') return `${user.username} is not disabled`;
+            user.status = 'active';
+            delete user.disabledBy;
+            delete user.disabledAt;
+        });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        
+        console.log(`Account ${result.user.username} enabled by ${req.user.name}`);
+        res.json({ success: true, message: `${result.user.username} can log in again` });
+    } catch (error) {
+        console.error("Error enabling account:", error);
+        res.status(500).json({ success: false, error: "Failed to enable account" });
+    }
+});
+
+// Force a password reset: sets a temporary password (returned once) that must be
+// changed at the next login, and ends the account's sessions
+app.post('/api/admin/users/:id/reset-password', requireAdmin, async (req, res) => {
+    try {
+        const temporaryPassword = passwords.generateTemporaryPassword();
+        const passwordHash = await passwords.hashPassword(temporaryPassword);
+        const result = await updateAccount(req.params.id, (user) => {
+            user.passwordHash = passwordHash;
+            user.mustChangePassword = true;
+            delete user.password;
+        });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        
+        sessions.revokeUser(result.user.id);
+        console.log(`Password of ${result.user.username} reset by ${req.user.name}`);
+        res.json({
+            success: true,
+            message: `Temporary password for ${result.user.username}: ${temporaryPassword} (they must change it when they log in)`,
+            temporaryPassword
+        });
+    } catch (error) {
+        console.error("Error resetting password:", error);
+        res.status(500).json({ success: false, error: "Failed to reset password" });
+    }
+});
+
+// Replace an account's roles: { roles } as in access.js. Its sessions end so
+// the new roles apply from the next login.
+app.put('/api/admin/users/:id/roles', requireAdmin, async (req, res) => {
+    try {
+        const { roles, error } = access.normalizeRoles(req.body.roles);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
         
-        // Find all items with matching Issue No or Storage No or Component ID
-        let matchingIndices = [];
-        let updatedCount = 0;
+        const result = await updateAccount(req.params.id, (user) => {
+            user.roles = roles;
+        });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        
+        sessions.revokeUser(result.user.id);
+        console.log(`Roles of ${result.user.username} set by ${req.user.name}:`, JSON.stringify(roles));
+        res.json({ success: true, message: `Roles of ${result.user.username} updated`, user: describeAccount(result.user, result.isAdmin) });
+    } catch (error) {
+        console.error("Error changing roles:", error);
+        res.status(500).json({ success: false, error: "Failed to change roles" });
+    }
+});
+
+// Lift a login lockout before it runs out
+app.post('/api/admin/users/:id/unlock', requireAdmin, async (req, res) => {
+    try {
+        const admins = await loadUsers(true);
+        const users = await loadUsers(false);
+        const admin = admins.find(item => item.id === req.params.id);
+        const user = admin || users.find(item => item.id === req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, error: "Account not found" });
+        }
+        
+        loginThrottle.unlockAccount(admin ? 'admin' : 'user', user.username);
+        console.log(`Login lock of ${user.username} lifted by ${req.user.name}`);
+        res.json({ success: true, message: `${user.username} can log in again` });
+    } catch (error) {
+        console.error("Error unlocking account:", error);
+        res.status(500).json({ success: false, error: "Failed to unlock account" });
+    }
+});
+
+// Login log: every successful, failed and refused login, newest first.
+// Query: username, ip, kind (user / admin), success (true / false), from, to, limit
+app.get('/api/admin/login-attempts', requireAdmin, (req, res) => {
+    try {
+        res.setHeader('Cache-Control', 'no-store');
+        res.json(store.queryLoginAttempts(req.query));
+    } catch (error) {
+        console.error("Error reading login log:", error);
+        res.status(500).json({ success: false, error: "Failed to load login log" });
+    }
+});
+
+// Change your own password: { currentPassword, newPassword }.
+// Other sessions of the account end; the reply carries a fresh token for this one.
+app.post('/api/account/password', async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ success: false, error: "Current and new password are required" });
+        }
+        
+        const problem = passwords.checkPasswordPolicy(newPassword, req.user.name);
+        if (problem) {
+            return res.status(400).json({ success: false, error: problem });
+        }
+        if (newPassword === currentPassword) {
+            return res.status(400).json({ success: false, error: "The new password must be different from the current one" });
+        }
+        
+        const passwordHash = await passwords.hashPassword(newPassword);
+        const result = await updateAccount(req.user.id, async (user) => {
+            const { valid } = user.passwordHash
+                ? await passwords.verifyPassword(currentPassword, user.passwordHash)
+                : { valid: typeof user.password === 'string' && passwords.safeEqual(currentPassword, user.password) };
+            if (!valid) return "Current password is incorrect";
+            
+            user.passwordHash = passwordHash;
+            delete user.password;
+            delete user.mustChangePassword;
+        });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        
+        sessions.revokeUser(result.user.id);
+        const roles = access.rolesOf({ ...result.user, role: req.user.role });
+        const { token, expiresAt } = sessions.issueToken({ id: result.user.id, name: result.user.username, role: req.user.role, roles });
+        console.log(`${result.user.username} changed their password`);
+        res.json({ success: true, message: "Password changed", token, expiresAt });
+    } catch (error) {
+        console.error("Error changing password:", error);
+        res.status(500).json({ success: false, error: "Failed to change password" });
+    }
+});
+
+// Logout: revoke the session token used for this call
+app.post('/api/logout', async (req, res) => {
+    try {
+        sessions.revokeToken(req.user.session);
+        console.log(`${req.user.role} ${req.user.name} logged out`);
+        res.json({ success: true, message: "Logged out" });
+    } catch (error) {
+        console.error("Error logging out:", error);
+        res.status(500).json({ success: false, error: "Failed to log out" });
+    }
+});
+
+// Current session details
+app.get('/api/session', async (req, res) => {
+    approvalRolesOf(req);
+    res.json({
+        success: true,
+        user: {
+            id: req.user.id,
+            name: req.user.name,
+            role: req.user.role,
+            roles: req.user.roles,
+            // Approval roles others have delegated to this user, in force now
+            delegations: req.user.delegations,
+            expiresAt: new Date(req.user.session.exp).toISOString()
+        }
+    });
+});
+
+// Get inventory data
+// ?state= lists only rows in that lifecycle state. Each row carries its State and
+// the Next States the user may move it to.
+app.get('/api/inventory', async (req, res) => {
+    try {
+        const state = (req.query.state || '').toString().toLowerCase();
+        const data = loadInventory()
+            .filter(item => access.canView(req.user.roles, item))
+            .filter(item => !state || lifecycle.stateOf(item).toLowerCase() === state)
+            .map(item => ({ ...item, 'State': lifecycle.stateOf(item), 'Next States': allowedStates(req, item) }));
+        res.setHeader('Cache-Control', 'no-store');
+        res.json(data);
+    } catch (error) {
+        console.error("Error fetching inventory:", error);
+        res.status(500).json({ error: "Failed to load inventory" });
+    }
+});
+
+// Export filtered inventory as CSV, XLSX or JSON
+// Filters: ?type=all|issued|stored|returned&status=&from=YYYY-MM-DD&to=YYYY-MM-DD&partNo=&systemManager=&submittedBy=
+// Format:  ?format=csv|xlsx|json (default csv)
+app.get('/api/inventory/export', async (req, res) => {
+    try {
+        const format = (req.query.format || 'csv').toLowerCase();
+        const type = ['issued', 'stored', 'returned'].includes(req.query.type) ? req.query.type : 'all';
+
+        if (!inventoryExport.FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Unsupported format "${format}". Use csv, xlsx or json` });
+        }
+
+        const { status, from, to, partNo, systemManager, submittedBy } = req.query;
+        const visible = loadInventory().filter(item => access.canView(req.user.roles, item));
+        const rows = inventoryExport.filterInventory(visible, { type, status, from, to, partNo, systemManager, submittedBy });
+        const columns = inventoryExport.columnsFor(type);
+        const fileName = `inventory-${type}-${new Date().toISOString().split('T')[0]}.${format}`;
+
+        res.setHeader('Cache-Control', 'no-store');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            inventoryExport.writeCsv(res, rows, columns);
+        } else if (format === 'xlsx') {
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.send(inventoryExport.buildWorkbook(rows, type));
+        } else {
+            res.json(rows.map(item => inventoryExport.pick(item, columns)));
+        }
+    } catch (error) {
+        console.error("Error exporting inventory:", error);
+        res.status(500).json({ error: "Failed to export inventory" });
+    }
+});
+
+// Stock balance per part: received, issued, reserved by pending issues, incoming
+// (pending receipts), available on the shelf and free after reservations.
+// Balances cover every row, so requesters see what is in stock whoever stored it.
+app.get('/api/stock', async (req, res) => {
+    try {
+        const parts = [...stockLedger.buildLedger(loadInventory()).values()]
+            .map(({ entries, ...part }) => part)
+            .sort((a, b) => a.partNo.localeCompare(b.partNo));
+        const totals = parts.reduce((sum, part) => ({
+            received: sum.received + part.received,
+            issued: sum.issued + part.issued,
+            reserved: sum.reserved + part.reserved,
+            returned: sum.returned + part.returned,
+            available: sum.available + Math.max(part.available, 0)
+        }), { received: 0, issued: 0, reserved: 0, returned: 0, available: 0 });
+
+        res.setHeader('Cache-Control', 'no-store');
+        res.json({ success: true, parts, totals });
+    } catch (error) {
+        console.error("Error building stock ledger:", error);
+        res.status(500).json({ success: false, error: "Failed to load stock" });
+    }
+});
+
+// Ledger of one part: its receipts and issues in date order with the running
+// balance. Entries of rows outside the user's subsystems are left out.
+app.get('/api/stock/:partNo', async (req, res) => {
+    try {
+        const ledger = stockLedger.buildLedger(loadInventory());
+        const part = ledger.get(stockLedger.partKey({ 'Part No': req.params.partNo }));
+        if (!part) {
+            return res.status(404).json({ success: false, error: `No stock records for part ${req.params.partNo}` });
+        }
+
+        let balance = 0;
+        const entries = part.entries.map(({ kind, quantity, date, item }) => {
+            if (kind === 'receipt' || kind === 'return') balance += quantity;
+            if (kind === 'issue') balance -= quantity;
+            return {
+                kind,
+                quantity,
+                date,
+                balance,
+                componentId: item['Component ID'],
+                requestNo: item['Issue No'] || item['Storage No'] || item['Return No'] || null,
+                status: item.Status || null,
+                submittedBy: item['Submitted By'] || null,
+                visible: access.canView(req.user.roles, item)
+            };
+        }).filter(entry => entry.visible).map(({ visible, ...entry }) => entry);
+
+        const { entries: allEntries, ...summary } = part;
+        res.setHeader('Cache-Control', 'no-store');
+        res.json({ success: true, ...summary, entries });
+    } catch (error) {
+        console.error("Error loading part ledger:", error);
+        res.status(500).json({ success: false, error: "Failed to load part ledger" });
+    }
+});
+
+// Traceability: the chain of every unit and lot matching ?serial=&lot=&partNo=,
+// from receipt through issues and returns (see traceability.js). Rows outside
+// the user's subsystems are left out.
+app.get('/api/trace', async (req, res) => {
+    try {
+        const query = { serial: req.query.serial, lot: req.query.lot, partNo: req.query.partNo };
+        const result = traceability.trace(loadInventory(), query, item => access.canView(req.user.roles, item));
+
+        res.setHeader('Cache-Control', 'no-store');
+        res.json({ success: true, query, ...result });
+    } catch (error) {
+        console.error("Error tracing units:", error);
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : "Failed to trace units" });
+    }
+});
+
+// Get single component details by ID
+app.get('/api/components/:identifier', async (req, res) => {
+    try {
+        const identifier = req.params.identifier;
+        const currentData = loadInventory();
         
-        for (let i = 0; i < currentData.length; i++) {
-            const item = currentData[i];
+        // Find the component
+        const component = currentData.find(item => {
             const issueNo = item['Issue No'] ? item['Issue No'].toString() : null;
             const storageNo = item['Storage No'] ? item['Storage No'].toString() : null;
             const componentId = item['Component ID'] ? item['Component ID'].toString() : null;
-            const reqId = requestId.toString();
+            const id = identifier.toString();
             
-            if (issueNo === reqId || storageNo === reqId || componentId === reqId) {
-                matchingIndices.push(i);
-                console.log(`Match found at index ${i}:`, item['Component ID']);
-            }
+            return issueNo === id || storageNo === id || componentId === id;
+        });
+        
+        if (!component || !access.canView(req.user.roles, component)) {
+            return res.status(404).json({ error: "Component not found" });
+        }
+        
+        // The ETag is the version of the whole request, to be sent back as If-Match
+        const group = findRequestGroup(currentData, identifier);
+        res.set('ETag', requestVersion(group.rows));
+        res.json(component);
+    } catch (error) {
+        console.error("Error fetching component:", error);
+        res.status(500).json({ error: "Failed to load component" });
+    }
+});
+
+// Signature image of a record. Only signatures on rows the user can see are served.
+app.get('/api/signatures/:name', async (req, res) => {
+    try {
+        const reference = `/api/signatures/${req.params.name}`;
+        const visible = loadInventory().some(item => access.canView(approvalRolesOf(req), item) && signatureRefs(item).includes(reference));
+        if (!visible) {
+            return res.status(404).json({ success: false, error: "Signature not found" });
         }
         
-        console.log('Matching items found:', matchingIndices.length);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.sendFile(await signatures.signaturePath(req.params.name));
+    } catch (error) {
+        console.error("Error serving signature:", error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// History of one component: its request, each approval step, a rejection and
+// any returns to store, oldest first. A returned row shows the history of the
+// component it came back from.
+app.get('/api/components/:identifier/history', async (req, res) => {
+    try {
+        const data = loadInventory();
+        const byId = id => data.find(item => item['Component ID'] !== undefined && item['Component ID'] !== null &&
+            item['Component ID'].toString() === id.toString());
+        
+        let component = byId(req.params.identifier);
+        if (component && component['Returned Component ID']) {
+            component = byId(component['Returned Component ID']) || component;
+        }
+        if (!component || !access.canView(req.user.roles, component)) {
+            return res.status(404).json({ success: false, error: "Component not found" });
+        }
         
-        if (matchingIndices.length === 0) {
-            console.log('ERROR: No matching items found');
-            return res.status(404).json({ 
-                success: false,
-                error: "Request not found in database" 
+        res.json({
+            success: true,
+            componentId: component['Component ID'],
+            partNo: component['Part No'] || null,
+            partDescription: component['Part Description'] || component.Name || null,
+            status: component.Status || null,
+            events: componentHistory(data, component)
+        });
+    } catch (error) {
+        console.error("Error loading component history:", error);
+        res.status(500).json({ success: false, error: "Failed to load component history" });
+    }
+});
+
+// Query the audit journal
+// Filters: ?user=&from=YYYY-MM-DD&to=YYYY-MM-DD&ion=&componentId=&action=&limit=
+app.get('/api/audit', requireRole('auditor'), async (req, res) => {
+    try {
+        const { user, from, to, ion, componentId, action, limit } = req.query;
+        // Auditors see the entries that touched rows of their subsystems
+        const entries = store.queryAudit({ user, from, to, ion, componentId, action, limit }).filter(entry => {
+            const rows = [...(entry.before || []), ...(entry.after || [])];
+            return rows.length > 0
+                ? rows.some(item => access.canAccess(req.user.roles, 'auditor', access.subsystemOf(item)))
+                : access.canAccess(req.user.roles, 'auditor', null);
+        });
+        res.setHeader('Cache-Control', 'no-store');
+        res.json(entries);
+    } catch (error) {
+        console.error("Error fetching audit journal:", error);
+        res.status(500).json({ error: "Failed to load audit journal" });
+    }
+});
+
+// List inventory snapshots, newest first
+app.get('/api/admin/backups', requireAdmin, async (req, res) => {
+    try {
+        res.setHeader('Cache-Control', 'no-store');
+        res.json(backups.listSnapshots());
+    } catch (error) {
+        console.error("Error listing backups:", error);
+        res.status(500).json({ error: "Failed to list backups" });
+    }
+});
+
+// Download a snapshot
+app.get('/api/admin/backups/:name', requireAdmin, async (req, res) => {
+    try {
+        const file = backups.snapshotPath(req.params.name);
+        if (!fs.existsSync(file)) {
+            return res.status(404).json({ error: "Snapshot not found" });
+        }
+        res.download(path.resolve(file), req.params.name);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Restore a snapshot (the restore itself is journalled and snapshotted)
+app.post('/api/admin/backups/:name/restore', requireAdmin, async (req, res) => {
+    try {
+        const name = req.params.name;
+        console.log('\n=== RESTORE REQUEST ===');
+        console.log('Snapshot:', name);
+
+        await withInventoryLock(async () => {
+            const count = restoreInventory(name, getActor(req), `${req.method} ${req.originalUrl}`);
+            console.log('SUCCESS: Restored items:', count);
+            res.json({
+                success: true,
+                message: `Restored ${count} item(s) from ${name}`,
+                itemsRestored: count
+            });
+        });
+    } catch (error) {
+        console.error("ERROR in restore:", error);
+        res.status(error.status || (error.message.startsWith('Invalid snapshot') ? 400 : 500)).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Get pending requests for admin.
+// ?state= lists the requests in another lifecycle state instead (Approved,
+// Issued, Returned for Clarification, ...), with the moves the user may make.
+app.get('/api/requests/pending', async (req, res) => {
+    try {
+        const data = loadInventory();
+        const ledger = stockLedger.buildLedger(data);
+        const state = lifecycle.STATES.find(value => value.toLowerCase() === (req.query.state || '').toString().toLowerCase());
+        
+        if (state && state !== lifecycle.SUBMITTED) {
+            const requests = {};
+            data.filter(item => lifecycle.stateOf(item) === state && access.canView(req.user.roles, item)).forEach(item => {
+                const groupKey = item['Issue No'] || item['Storage No'] || item['Component ID'];
+                if (!groupKey || requests[groupKey]) return;
+                
+                const group = findRequestGroup(data, groupKey);
+                const rows = group.rows.filter(row => lifecycle.stateOf(row) === state);
+                requests[groupKey] = {
+                    ...item,
+                    'State': state,
+                    'Version': requestVersion(group.rows),
+                    'Lines': rows.map(row => ({
+                        componentId: row['Component ID'],
+                        partNo: row['Part No'] || '',
+                        partDescription: row['Part Description'] || row.Name || '',
+                        quantity: stockLedger.quantityOf(row)
+                    })),
+                    'Next States': [...new Set(rows.flatMap(row => allowedStates(req, row)))],
+                    'ION Status': ionStatusOf(group.rows)
+                };
             });
+            return res.json(Object.values(requests));
         }
         
-        // Update all matching items
-        matchingIndices.forEach(index => {
-            currentData[index]['Status'] = 'Approved';
-            currentData[index]['Approved By'] = approvalData.approvedBy;
-            currentData[index]['Approval Date'] = new Date().toISOString().split('T')[0];
-            currentData[index]['Approval Signature'] = approvalData.signature;
-            updatedCount++;
-            console.log(`Updated item ${updatedCount}:`, currentData[index]['Component ID']);
+        // Only requests the user may decide at their current step (for the
+        // request's subsystem) are listed, oldest first
+        const roles = approvalRolesOf(req);
+        const pendingRequests = awaitingGroups(data)
+            .filter(({ item, currentStep, age }) => decisionRoles(currentStep, age)
+                .some(role => access.canAccess(roles, role, access.subsystemOf(item))))
+            .map(({ item, group, steps, approvals, currentStep, waiting, age }) => {
+                const viaEscalation = !access.canAccess(roles, currentStep.role, access.subsystemOf(item));
+                const delegated = delegationFor(req, viaEscalation ? age.escalatedTo : currentStep, [item]);
+                
+                return {
+                    ...item,
+                    'Version': requestVersion(group.rows),
+                    'Approval Step': { ...currentStep, number: approvals.length + 1, of: steps.length },
+                    // Set when the user only sees the request as someone's delegate
+                    'Delegated By': delegated ? delegated.onBehalfOf : null,
+                    // How long it has waited at this step, and whether it is overdue or escalated
+                    'Age': age,
+                    // Set when the user only sees the request because it was escalated to their step
+                    'Via Escalation': viaEscalation,
+                    'Approvals': approvals.map(({ signature, ...approval }) => approval),
+                    // Lines to decide at this step, for line-level approval and rejection
+                    'Waiting Lines': waiting.map(line => ({
+                        componentId: line['Component ID'],
+                        partNo: line['Part No'] || '',
+                        partDescription: line['Part Description'] || line.Name || '',
+                        requestedQuantity: requestedQuantity(line),
+                        approvableQuantity: approvableQuantity(line),
+                        // Units of the part on the shelf, for issue lines
+                        inStock: group.type === 'issue'
+                            ? (ledger.get(stockLedger.partKey(line)) || { available: 0 }).available
+                            : null
+                    })),
+                    'ION Status': ionStatusOf(group.rows),
+                    'State': lifecycle.SUBMITTED,
+                    'Next States': allowedStates(req, waiting[0])
+                };
+            });
+        
+        console.log('Pending requests found:', pendingRequests.length);
+        res.json(pendingRequests);
+    } catch (error) {
+        console.error("Error fetching pending requests:", error);
+        res.status(500).json({ error: "Failed to load pending requests" });
+    }
+});
+
+// Overdue requests per approver, oldest first, for chasing them up. An approver
+// is any active account that may decide a request at its step: in its own
+// right, as a delegate or on escalation. Overdue requests nobody may decide
+// are listed under `unassigned`.
+app.get('/api/requests/overdue', requireAdmin, async (req, res) => {
+    try {
+        const overdue = awaitingGroups(loadInventory()).filter(({ age }) => age.overdue);
+        const accounts = [
+            ...(await loadUsers(false)).map(user => ({ user, kind: 'user' })),
+            ...(await loadUsers(true)).map(user => ({ user, kind: 'admin' }))
+        ]
+            .filter(({ user }) => (user.status || 'active') === 'active')
+            .map(({ user, kind }) => ({
+                name: user.username,
+                kind,
+                roles: delegations.mergeRoles(access.rolesOf({ ...user, role: kind }), delegations.activeFor(user.id))
+            }));
+        
+        const approvers = new Map();
+        const unassigned = [];
+        overdue.forEach(({ item, group, currentStep, age }) => {
+            const summary = {
+                requestId: group.number,
+                type: group.type,
+                subsystem: access.subsystemOf(item),
+                step: currentStep.label,
+                waitingSince: age.waitingSince,
+                days: age.days,
+                escalatedTo: age.escalatedTo ? age.escalatedTo.label : null
+            };
+            const entitled = accounts.filter(account => decisionRoles(currentStep, age)
+                .some(role => access.canAccess(account.roles, role, summary.subsystem)));
+            if (entitled.length === 0) unassigned.push(summary);
+            
+            entitled.forEach(account => {
+                const key = `${account.kind}:${account.name}`;
+                if (!approvers.has(key)) {
+                    approvers.set(key, { approver: account.name, kind: account.kind, overdue: 0, escalated: 0, oldestDays: 0, requests: [] });
+                }
+                const entry = approvers.get(key);
+                entry.overdue++;
+                if (summary.escalatedTo) entry.escalated++;
+                entry.oldestDays = Math.max(entry.oldestDays, summary.days);
+                entry.requests.push(summary);
+            });
         });
         
-        console.log('Total items updated:', updatedCount);
-        console.log('Attempting to save to Excel...');
+        res.setHeader('Cache-Control', 'no-store');
+        res.json({
+            ...ageing.thresholds(),
+            approvers: [...approvers.values()].sort((a, b) => b.oldestDays - a.oldestDays || b.overdue - a.overdue),
+            unassigned
+        });
+    } catch (error) {
+        console.error("Error building overdue summary:", error);
+        res.status(500).json({ success: false, error: "Failed to load overdue requests" });
+    }
+});
+
+// Save the SO PDF uploaded for an issue line (form field soPdf_<pdfIndex>).
+// Returns its /uploads path, or null if none was uploaded.
+async function saveSoPdf(req, component, issueNo) {
+    if (!component.hasPdf || !req.files || !req.files[`soPdf_${component.pdfIndex}`]) return null;
+    
+    const pdfFile = req.files[`soPdf_${component.pdfIndex}`];
+    const timestamp = Date.now();
+    const sanitizedIssueNo = (issueNo || '').toString().replace(/[^a-zA-Z0-9-]/g, '_');
+    const sanitizedPartNo = (component.partNo || '').toString().replace(/[^a-zA-Z0-9]/g, '_');
+    const pdfFileName = `SO_${sanitizedIssueNo}_${sanitizedPartNo}_${timestamp}.pdf`;
+    
+    const saved = await documents.saveDocument(pdfFile, pdfFileName, { owner: req.user.name, types: ['pdf'] });
+    console.log(`PDF saved: ${pdfFileName}`);
+    return saved.path;
+}
+
+// An SO PDF link kept from the client (existingPdf) must point into the document store
+function storedPdfLink(link) {
+    if (typeof link !== 'string' || !link.startsWith('/uploads/')) return null;
+    try {
+        documents.documentPath(link.slice('/uploads/'.length));
+        return link;
+    } catch (error) {
+        return null;
+    }
+}
+
+// An issue form line as the stock ledger sees it, so it can be checked before
+// any rows (or SO PDFs) are created
+function issueStockLine(component) {
+    return {
+        'Part No': component.partNo,
+        'Part Description': component.partDescription,
+        'Total Quantity': component.totalQuantity
+    };
+}
+
+// Build one inventory row for an issue line
+function buildIssueItem(component, header, componentId, soPdf) {
+    return {
+        "Component ID": componentId,
+        "Name": component.partDescription || "Issued Component",
+        "Part No": component.partNo,
+        "Part Description": component.partDescription,
+        "Type": "Issued Component",
+        "Status": header.status || lifecycle.SUBMITTED,
+        "Date": new Date().toISOString().split('T')[0],
+        "Issued To": header.issueTo,
+        "Issue No": header.issueNo,
+        "Issue Date": component.issueDate || header.issueDate,
+        "Request Text": header.requestText,
+        "Issue For": header.issueFor,
+        "System Manager": header.systemManager,
+        "Serial No": component.serialNo,
+        "S.No as per SO": component.snoSO,
+        "Manufacturer": component.manufacturer,
+        "Quality Grade": component.qualityGrade,
+        "Sub System": component.subSystem,
+        "Quantity Each": component.quantityEach,
+        "Total Quantity": component.totalQuantity,
+        "SO No": component.soNo,
+        "SO PDF": soPdf,
+        "Storage Temperature": component.storageTemp,
+        "Submitted By": header.submittedBy,
+        "Requester Signature": header.signature ? header.signature.path : null,
+        "Requester Signature SHA-256": header.signature ? header.signature.sha256 : null
+    };
+}
+
+// Next return number (RET-001, RET-002, ...)
+function generateReturnNo(existingData) {
+    const numbers = existingData
+        .filter(item => item['Return No'])
+        .map(item => {
+            const match = item['Return No'].toString().match(/RET-(\d+)/);
+            return match ? parseInt(match[1]) : 0;
+        });
+    return `RET-${(Math.max(0, ...numbers) + 1).toString().padStart(3, '0')}`;
+}
+
+// Build one inventory row for a returned line. It points back at the issued row
+// and keeps its part and subsystem, so the stock ledger and access rules apply.
+function buildReturnItem(original, details, componentId) {
+    return {
+        "Component ID": componentId,
+        "Name": original.Name || original['Part Description'] || "Returned Component",
+        "Part No": original['Part No'],
+        "Part Description": original['Part Description'],
+        "Type": "Returned Component",
+        "Status": "Returned",
+        "Date": new Date().toISOString().split('T')[0],
+        "Return No": details.returnNo,
+        "Return Date": details.returnDate,
+        "Returned From ION": original['Issue No'],
+        "Returned Component ID": original['Component ID'],
+        "Return Quantity": details.quantity,
+        "Condition": details.condition,
+        "Lot No": original['Lot No'],
+        "Unit Serials": details.serials,
+        "Returned By": details.returnedBy || original['Issued To'] || '',
+        "Received By": details.receivedBy,
+        "Remarks": details.remarks || '',
+        "Issued To": original['Issued To'],
+        "Request Text": original['Request Text'],
+        "Submitted By": details.receivedBy
+    };
+}
+
+// Quantity of an issued row that has already come back
+function returnedQuantity(data, componentId) {
+    return data
+        .filter(item => item['Returned Component ID'] !== undefined && item['Returned Component ID'] !== null &&
+            item['Returned Component ID'].toString() === componentId.toString())
+        .reduce((sum, item) => sum + stockLedger.quantityOf(item), 0);
+}
+
+// Build the inventory rows for an issue request, saving any uploaded SO PDFs.
+// A line without a new PDF keeps the one named in component.existingPdf.
+// Rows start in header.status (Submitted unless saved as a draft).
+async function createIssueItems(req, components, header, existingData) {
+    const newItems = [];
+    
+    for (const component of components) {
+        const soPdf = await saveSoPdf(req, component, header.issueNo) || storedPdfLink(component.existingPdf);
+        const componentId = generateComponentId([...existingData, ...newItems]);
+        const item = buildIssueItem(component, header, componentId, soPdf);
+        lifecycle.setState(item, item['Status'], header.submittedBy);
+        newItems.push(item);
+    }
+    
+    return newItems;
+}
+
+// Issue components endpoint with file upload support
+app.post('/api/issue', requireRole('requester'), async (req, res) => {
+    try {
+        await ensureUploadDir();
+        await withInventoryLock(async () => {
+            const currentData = loadInventory();
         
-        const success = saveToExcelSync(currentData);
+            // Parse components from form data
+            const components = JSON.parse(req.body.components);
+            const { issueNo, issueDate, requestText, issueTo, issueFor, systemManager } = req.body;
+            const submittedBy = req.user.name;
+            const draft = isDraftRequest(req.body);
         
-        if (success) {
-            console.log('SUCCESS: Approval saved to Excel');
-            res.json({ 
-                success: true, 
-                message: `Request approved successfully! ${updatedCount} item(s) updated.`,
-                itemsUpdated: updatedCount
-            });
-        } else {
-            console.log('ERROR: Failed to save to Excel');
-            res.status(500).json({ 
-                success: false,
-                error: "Failed to save approval to Excel file" 
+            if (!components || components.length === 0) {
+                return res.status(400).json({ error: "At least one component is required" });
+            }
+        
+            if (!checkAccess(req, res, ['requester'], [{ 'Request Text': requestText }])) return;
+        
+            // Parts asked for beyond what is on the shelf are refused; parts that only
+            // fit if other pending requests are refused are flagged for the approvers.
+            // Drafts reserve nothing and are checked when they are submitted.
+            const stock = draft ? { blocked: [], warnings: [] } : stockLedger.checkStock(currentData, components.map(issueStockLine));
+            if (stock.blocked.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: `Not enough stock: ${stockLedger.describeShortfalls(stock.blocked)}`,
+                    shortfalls: stock.blocked
+                });
+            }
+        
+            const signature = await storeSignature(req.body.signature, 'Requester');
+            const status = draft ? lifecycle.DRAFT : lifecycle.SUBMITTED;
+            const newItems = await createIssueItems(req, components, { issueNo, issueDate, requestText, issueTo, issueFor, systemManager, submittedBy, status, signature }, currentData);
+        
+            const updatedData = [...currentData, ...newItems];
+            const success = saveInventory(updatedData, auditEntry(req, 'issue', [], newItems));
+        
+            if (success) {
+                res.json({ 
+                    success: true, 
+                    message: (draft ? `Saved ${components.length} components as a draft` : `Successfully submitted ${components.length} components for approval`) +
+                        (stock.warnings.length ? `. Stock is short once other pending requests are counted: ${stockLedger.describeShortfalls(stock.warnings)}` : ''),
+                    stockWarnings: stock.warnings,
+                    data: updatedData.filter(item => access.canView(req.user.roles, item))
+                });
+            } else {
+                res.status(500).json({ error: "Failed to save issue data" });
+            }
+        });
+    } catch (error) {
+        console.error("Error processing issue:", error);
+        res.status(error.status || 500).json({ error: "Failed to process component issue: " + error.message });
+    }
+});
+
+// Build one inventory row for a storage line
+function buildStorageItem(component, header, componentId) {
+    return {
+        "Component ID": componentId,
+        "Name": component.partDescription || "Stored Component",
+        "Part No": component.partNo,
+        "Part Description": component.partDescription,
+        "Type": "Stored Component",
+        "Status": header.status || lifecycle.SUBMITTED,
+        "Date": new Date().toISOString().split('T')[0],
+        "Storage No": header.storageNo,
+        "Storage Date": header.storageDate,
+        "SO Number": header.soNumber,
+        "Request Text": header.requestText,
+        "System Manager": header.systemManager,
+        "Serial No": component.serialNo,
+        "S.No as per PO": component.snoPO,
+        "Grade": component.grade,
+        "Storage Quantity": component.quantity,
+        "Storage Temperature": component.storageTemp,
+        "Relative Humidity": component.relativeHumidity,
+        "Storage Data": component.storageData,
+        "Delivery Date": component.deliveryDate,
+        "Lot No": component.lotNo,
+        "Unit Serials": traceability.parseSerials(component.serials),
+        "SO No": header.soNumber,
+        "Submitted By": header.submittedBy,
+        "Requester Signature": header.signature ? header.signature.path : null,
+        "Requester Signature SHA-256": header.signature ? header.signature.sha256 : null
+    };
+}
+
+// Build the inventory rows for a storage receipt, in header.status like issue rows
+function createStorageItems(components, header, existingData) {
+    const newItems = [];
+    
+    for (const component of components) {
+        const componentId = generateComponentId([...existingData, ...newItems]);
+        const item = buildStorageItem(component, header, componentId);
+        lifecycle.setState(item, item['Status'], header.submittedBy);
+        locations.place(item, component.location, header.submittedBy);
+        newItems.push(item);
+    }
+    
+    return newItems;
+}
+
+// Warnings for rows kept at a location whose environmental class doesn't suit
+// their storage temperature (see locations.js)
+function locationWarnings(items) {
+    return items.filter(item => item['Location']).map(item => locations.placementWarning(item, item['Location'])).filter(Boolean);
+}
+
+// Storage components endpoint
+app.post('/api/storage', requireRole('storekeeper'), async (req, res) => {
+    try {
+        await withInventoryLock(async () => {
+            const currentData = loadInventory();
+            const { storageNo, storageDate, soNumber, systemManager, requestText, components } = req.body;
+        
+            if (!components || components.length === 0) {
+                return res.status(400).json({ error: "At least one component is required" });
+            }
+        
+            if (!checkAccess(req, res, ['storekeeper'], [{ 'Request Text': requestText }])) return;
+        
+            const draft = isDraftRequest(req.body);
+            const status = draft ? lifecycle.DRAFT : lifecycle.SUBMITTED;
+            const signature = await storeSignature(req.body.signature, 'Requester');
+            const newItems = createStorageItems(components, { storageNo, storageDate, soNumber, systemManager, requestText, submittedBy: req.user.name, status, signature }, currentData);
+            traceability.checkReceipts(currentData, newItems);
+            const updatedData = [...currentData, ...newItems];
+            const success = saveInventory(updatedData, auditEntry(req, 'storage', [], newItems));
+        
+            if (success) {
+                const warnings = locationWarnings(newItems);
+                res.json({ 
+                    success: true, 
+                    message: (draft
+                        ? `Saved ${components.length} components as a draft`
+                        : `Successfully submitted ${components.length} components for storage approval`) +
+                        (warnings.length ? `. Check the storage locations: ${warnings.join('; ')}` : ''),
+                    locationWarnings: warnings,
+                    data: updatedData.filter(item => access.canView(req.user.roles, item))
+                });
+            } else {
+                res.status(500).json({ error: "Failed to save storage data" });
+            }
+        });
+    } catch (error) {
+        console.error("Error processing storage:", error);
+        res.status(error.status || 500).json({ error: "Failed to process component storage: " + error.message });
+    }
+});
+
+// Bulk storage receipt import from an .xlsx/.csv laid out like the storage table.
+// Every row is validated; with dryRun=false and no errors the rows are created
+// exactly as /api/storage would, in one batch under a single Storage No.
+app.post('/api/storage/import', requireRole('storekeeper'), async (req, res) => {
+    try {
+        if (!req.files || !req.files.file) {
+            return res.status(400).json({ error: "No file uploaded" });
+        }
+
+        const file = req.files.file;
+        const { storageDate, soNumber, systemManager, requestText } = req.body;
+        const storageNo = (req.body.storageNo || '').toString().trim();
+        const dryRun = req.body.dryRun !== 'false';
+        console.log('\n=== STORAGE IMPORT ===');
+        console.log('File:', file.name, 'Storage No:', storageNo, 'Dry run:', dryRun);
+
+        const { components, errors } = storageImport.parseStorageSheet(file.data, file.name);
+        errors.push(...storageImport.validateStorageRows(components));
+
+        await withInventoryLock(async () => {
+            const currentData = loadInventory();
+
+            if (!access.canAccess(req.user.roles, 'storekeeper', access.subsystemOf(requestText))) {
+                errors.unshift({ row: null, field: 'requestText', message: 'You are not a store keeper for this subsystem' });
+            }
+            components.filter(component => component.location && !locations.findLocation(component.location))
+                .forEach(component => errors.push({ row: component.row, field: 'location', message: `Unknown location ${component.location}` }));
+            // Serials must be one per unit and new, also across the rows of the sheet
+            const receipts = [];
+            components.forEach(component => {
+                try {
+                    const receipt = {
+                        'Component ID': `row ${component.row}`,
+                        'Type': 'Stored Component',
+                        'Part No': component.partNo,
+                        'Storage Quantity': component.quantity,
+                        'Unit Serials': traceability.parseSerials(component.serials)
+                    };
+                    traceability.checkReceipts([...currentData, ...receipts], [receipt]);
+                    receipts.push(receipt);
+                } catch (error) {
+                    errors.push({ row: component.row, field: 'serials', message: error.message });
+                }
             });
+            if (!storageNo) {
+                errors.unshift({ row: null, field: 'storageNo', message: 'Storage No is required' });
+            } else if (currentData.some(item => item['Storage No'] && item['Storage No'].toString() === storageNo)) {
+                errors.unshift({ row: null, field: 'storageNo', message: `Storage No ${storageNo} already exists` });
+            }
+
+            const report = {
+                dryRun,
+                valid: errors.length === 0,
+                rowCount: components.length,
+                errors,
+                locationWarnings: components.filter(component => component.location).map(component => locations.placementWarning(
+                    { 'Component ID': `row ${component.row}`, 'Part No': component.partNo, 'Storage Temperature': component.storageTemp },
+                    component.location
+                )).filter(Boolean),
+                components
+            };
+
+            if (dryRun) {
+                return res.json({ success: true, ...report });
+            }
+
+            if (!report.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Import has ${errors.length} error(s); nothing was saved`,
+                    ...report
+                });
+            }
+
+            const signature = await storeSignature(req.body.signature, 'Requester');
+            const newItems = createStorageItems(components, { storageNo, storageDate, soNumber, systemManager, requestText, submittedBy: req.user.name, signature }, currentData);
+            const success = saveInventory([...currentData, ...newItems], auditEntry(req, 'storage-import', [], newItems));
+
+            if (success) {
+                res.json({
+                    success: true,
+                    ...report,
+                    message: `Successfully imported ${newItems.length} components for storage approval under Storage No ${storageNo}`,
+                    data: newItems
+                });
+            } else {
+                res.status(500).json({ error: "Failed to save imported storage data" });
+            }
+        });
+    } catch (error) {
+        console.error("Error importing storage:", error);
+        res.status(error.status || 500).json({ error: "Failed to import storage components: " + error.message });
+    }
+});
+
+// Record components coming back to the store from an issue (return to store).
+// Body: { issueNo, returnDate, returnedBy, remarks,
+//         lines: [{ componentId, quantity, condition, remarks }] }
+// condition is Serviceable, Unserviceable or Scrapped. The receiving store keeper
+// is the logged-in user.
+app.post('/api/returns', requireRole('storekeeper'), async (req, res) => {
+    try {
+        const { issueNo, returnDate, returnedBy, remarks } = req.body || {};
+        const lines = req.body && Array.isArray(req.body.lines) ? req.body.lines : [];
+        console.log('\n=== RETURN TO STORE ===');
+        console.log('Issue No:', issueNo, 'Lines:', lines.length);
+        
+        if (!issueNo || lines.length === 0) {
+            return res.status(400).json({ success: false, error: "An Issue No and at least one returned line are required" });
         }
+        
+        await withInventoryLock(async () => {
+            const currentData = loadInventory();
+            const group = findRequestGroup(currentData, issueNo);
+            
+            if (!group || group.type !== 'issue' || group.number !== issueNo.toString()) {
+                return res.status(404).json({ success: false, error: `Issue ${issueNo} not found` });
+            }
+            if (!checkAccess(req, res, ['storekeeper'], group.rows)) return;
+            
+            const returnNo = generateReturnNo(currentData);
+            const today = new Date().toISOString().split('T')[0];
+            const newItems = [];
+            
+            for (const line of lines) {
+                const id = line && line.componentId !== undefined && line.componentId !== null ? line.componentId.toString() : '';
+                const original = group.rows.find(item => item['Component ID'].toString() === id);
+                
+                if (!original) {
+                    return res.status(400).json({ success: false, error: `Component ${id || '(none)'} is not a line of issue ${group.number}` });
+                }
+                // Only components that were handed over can come back
+                if (![lifecycle.ISSUED, lifecycle.CLOSED].includes(lifecycle.stateOf(original))) {
+                    return res.status(409).json({ success: false, error: `Component ${id} has not been issued (state ${lifecycle.stateOf(original)})` });
+                }
+                
+                const condition = stockLedger.RETURN_CONDITIONS.find(value =>
+                    value.toLowerCase() === (line.condition || '').toString().trim().toLowerCase());
+                if (!condition) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Condition of component ${id} must be one of ${stockLedger.RETURN_CONDITIONS.join(', ')}`
+                    });
+                }
+                
+                const quantity = Number(line.quantity);
+                const issued = stockLedger.quantityOf(original);
+                const alreadyReturned = returnedQuantity([...currentData, ...newItems], id);
+                if (!(quantity > 0) || quantity > issued - alreadyReturned) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Returned quantity of component ${id} must be more than 0 and at most ${issued - alreadyReturned} ` +
+                            `(${issued} issued, ${alreadyReturned} already returned)`
+                    });
+                }
+                
+                // Units issued by serial come back by serial
+                let serials;
+                try {
+                    serials = traceability.checkReturn([...currentData, ...newItems], original, line.serials, quantity);
+                } catch (error) {
+                    return res.status(error.status || 400).json({ success: false, error: error.message });
+                }
+                
+                newItems.push(buildReturnItem(original, {
+                    returnNo,
+                    returnDate: returnDate || today,
+                    quantity,
+                    condition,
+                    serials,
+                    returnedBy,
+                    receivedBy: req.user.name,
+                    remarks: line.remarks || remarks
+                }, generateComponentId([...currentData, ...newItems])));
+            }
+            
+            const success = saveInventory([...currentData, ...newItems], auditEntry(req, 'return', [], newItems));
+            
+            if (success) {
+                console.log(`SUCCESS: Return ${returnNo} recorded with ${newItems.length} line(s)`);
+                res.json({
+                    success: true,
+                    message: `Recorded return ${returnNo}: ${newItems.length} line(s) back from issue ${group.number}`,
+                    returnNo,
+                    data: newItems
+                });
+            } else {
+                res.status(500).json({ success: false, error: "Failed to save return" });
+            }
+        });
+    } catch (error) {
+        console.error("Error recording return:", error);
+        res.status(500).json({ success: false, error: "Failed to record return: " + error.message });
+    }
+});
+
+// Rows that physically sit in the store and can be given a location:
+// storage receipts and returns, unless cancelled or rejected
+function isPlaceable(item) {
+    return ['storage', 'return'].includes(rowType(item)) &&
+        ![lifecycle.CANCELLED, lifecycle.REJECTED].includes(lifecycle.stateOf(item));
+}
+
+// The location hierarchy with the number of lines kept at each location (itself only)
+app.get('/api/locations', async (req, res) => {
+    try {
+        const placed = loadInventory().filter(item => item['Location'] && isPlaceable(item));
+        res.setHeader('Cache-Control', 'no-store');
+        res.json({
+            success: true,
+            levels: locations.LEVELS,
+            environments: locations.ENVIRONMENTS,
+            locations: locations.listLocations().map(location => ({
+                ...location,
+                lines: placed.filter(item => item['Location'] === location.code).length
+            }))
+        });
+    } catch (error) {
+        console.error("Error listing locations:", error);
+        res.status(500).json({ success: false, error: "Failed to load locations" });
+    }
+});
+
+// Add a location. Body: { parent, code, name, environment } (see locations.js)
+app.post('/api/locations', requireRole('storekeeper', 'systemManager'), async (req, res) => {
+    try {
+        const location = locations.addLocation(req.body || {}, req.user.name);
+        console.log(`Location ${location.code} added by ${req.user.name}`);
+        res.json({ success: true, message: `Added ${location.level} ${location.code} (${location.path})`, location });
+    } catch (error) {
+        console.error("Error adding location:", error);
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : "Failed to add location" });
+    }
+});
+
+// Remove an empty location that holds no other locations
+app.delete('/api/locations/:code', requireRole('storekeeper', 'systemManager'), async (req, res) => {
+    try {
+        const code = req.params.code.toUpperCase();
+        const inUse = loadInventory().filter(item => item['Location'] === code && isPlaceable(item)).length;
+        if (inUse > 0) {
+            return res.status(409).json({ success: false, error: `Location ${code} still holds ${inUse} line(s); move them first` });
+        }
+        locations.removeLocation(code);
+        console.log(`Location ${code} removed by ${req.user.name}`);
+        res.json({ success: true, message: `Removed location ${code}` });
+    } catch (error) {
+        console.error("Error removing location:", error);
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : "Failed to remove location" });
+    }
+});
+
+// What is kept at a location and the locations inside it: each line placed
+// there, and the quantity of each part. Issues draw on a part's stock, not on a
+// location, so quantities are what was put there. Lines of other subsystems are left out.
+app.get('/api/locations/:code/contents', async (req, res) => {
+    try {
+        const location = locations.findLocation(req.params.code);
+        if (!location) {
+            return res.status(404).json({ success: false, error: `Unknown location ${req.params.code}` });
+        }
+
+        const lines = loadInventory()
+            .filter(item => item['Location'] && locations.isWithin(item['Location'], location.code) &&
+                isPlaceable(item) && access.canView(req.user.roles, item))
+            .map(item => ({
+                componentId: item['Component ID'],
+                partNo: item['Part No'] || '',
+                partDescription: item['Part Description'] || item.Name || '',
+                quantity: stockLedger.quantityOf(item),
+                location: item['Location'],
+                state: lifecycle.stateOf(item),
+                storageNo: item['Storage No'] || item['Return No'] || '',
+                storageTemperature: item['Storage Temperature'] || '',
+                warning: locations.placementWarning(item, item['Location'])
+            }))
+            .sort((a, b) => a.location.localeCompare(b.location) || a.partNo.localeCompare(b.partNo));
+
+        const parts = new Map();
+        lines.forEach(line => {
+            const part = parts.get(line.partNo) || { partNo: line.partNo, partDescription: line.partDescription, quantity: 0, locations: [] };
+            part.quantity += line.quantity;
+            if (!part.locations.includes(line.location)) part.locations.push(line.location);
+            parts.set(line.partNo, part);
+        });
+
+        res.setHeader('Cache-Control', 'no-store');
+        res.json({ success: true, location, lines, parts: [...parts.values()] });
+    } catch (error) {
+        console.error("Error loading location contents:", error);
+        res.status(500).json({ success: false, error: "Failed to load location contents" });
+    }
+});
+
+// Move stored lines to another location.
+// Body: { componentIds: [...], to, from?, note? }. Each move is stamped in the
+// line's Location History with who made it. With `from`, lines that are no
+// longer there are refused (409) so two store keepers can't move the same stock twice.
+app.post('/api/locations/transfer', requireRole('storekeeper'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const { to, from, note } = body;
+        const ids = Array.isArray(body.componentIds) ? body.componentIds.filter(id => id !== null && id !== undefined).map(id => id.toString()) : [];
+        if (ids.length === 0) {
+            return res.status(400).json({ success: false, error: "List the Component IDs to move in componentIds" });
+        }
+        if (!to) {
+            return res.status(400).json({ success: false, error: "Give the target location in to" });
+        }
+        const target = locations.findLocation(to);
+        if (!target) {
+            return res.status(400).json({ success: false, error: `Unknown location ${to || '(none)'}` });
+        }
+
+        await withInventoryLock(async () => {
+            const currentData = loadInventory();
+            const rows = ids.map(id => currentData.find(item => item['Component ID'] !== undefined && item['Component ID'].toString() === id));
+            // Rows the user can't see are reported like missing ones, so IDs from
+            // other subsystems can't be probed
+            const missing = ids.filter((id, index) => !rows[index] || !access.canView(req.user.roles, rows[index]));
+            if (missing.length > 0) {
+                return res.status(404).json({ success: false, error: `Component(s) not found: ${missing.join(', ')}` });
+            }
+            if (!checkAccess(req, res, ['storekeeper'], rows)) return;
+
+            const unplaceable = rows.filter(item => !isPlaceable(item));
+            if (unplaceable.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: `Only stored or returned components can be moved: ${unplaceable.map(item => item['Component ID']).join(', ')}`
+                });
+            }
+
+            const expected = from ? from.toString().trim().toUpperCase() : null;
+            const moved = rows.filter(item => expected && (item['Location'] || '') !== expected);
+            if (moved.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: `No longer at ${expected}: ${moved.map(item => `${item['Component ID']} (now ${item['Location'] || 'unplaced'})`).join(', ')}`
+                });
+            }
+
+            const before = rows.map(item => ({ ...item }));
+            const reason = (note || '').toString().trim();
+            const changed = rows.filter(item => locations.place(item, target.code, req.user.name, reason));
+            if (changed.length === 0) {
+                return res.json({ success: true, message: `Already at ${target.code}`, itemsUpdated: 0, locationWarnings: [] });
+            }
+
+            const success = saveInventory(currentData, auditEntry(req, 'transfer',
+                before.filter(item => changed.some(row => row['Component ID'] === item['Component ID'])), changed));
+
+            if (success) {
+                const warnings = locationWarnings(changed);
+                console.log(`SUCCESS: ${changed.length} line(s) moved to ${target.code} by ${req.user.name}`);
+                res.json({
+                    success: true,
+                    message: `Moved ${changed.length} line(s) to ${target.code} (${target.path})` +
+                        (warnings.length ? `. Check the storage location: ${warnings.join('; ')}` : ''),
+                    itemsUpdated: changed.length,
+                    locationWarnings: warnings
+                });
+            } else {
+                res.status(500).json({ success: false, error: "Failed to save the move" });
+            }
+        });
+    } catch (error) {
+        console.error("Error moving components:", error);
+        res.status(error.status || 500).json({ success: false, error: "Server error: " + error.message });
+    }
+});
+
+// Approve request endpoint - COMPLETELY FIXED
+app.post('/api/requests/approve', requireApprover, async (req, res) => {
+    try {
+        const { requestId } = req.body;
+        const approvalData = req.body.approvalData || {};
+        console.log('\n=== APPROVAL REQUEST ===');
+        console.log('Request ID:', requestId);
+        console.log('Approved By:', req.user.name);
+        
+        await withInventoryLock(async () => {
+            const currentData = loadInventory();
+            const group = requestId !== undefined && requestId !== null ? findRequestGroup(currentData, requestId) : null;
+        
+            if (!group) {
+                console.log('ERROR: No matching items found');
+                return res.status(404).json({ 
+                    success: false,
+                    error: "Request not found in database" 
+                });
+            }
+            // Only holders of the current step's role for the request's subsystem may
+            // approve, or of the next step's role once the request is escalated
+            const progress = approvalChains.progressOf(group);
+            const { steps, approvals, currentStep, waiting } = progress;
+            if (!currentStep) {
+                return res.status(409).json({ success: false, error: `Request ${group.number} is not pending` });
+            }
+            const age = ageing.ageOf(progress);
+            if (!checkAccess(req, res, decisionRoles(currentStep, age), group.rows, approvalRolesOf(req))) return;
+            if (!checkIfMatch(req, res, group)) return;
+            const viaEscalation = !access.canAccessRows(approvalRolesOf(req), [currentStep.role], group.rows);
+            const delegated = delegationFor(req, viaEscalation ? age.escalatedTo : currentStep, group.rows);
+        
+            // Without a list of lines every line waiting at this step is approved as requested
+            const picked = decisionLines(req, res, group, waiting, waiting);
+            if (!picked) return;
+        
+            for (const { item, line } of picked) {
+                if (!hasQuantity(line.approvedQuantity)) continue;
+                const quantity = Number(line.approvedQuantity);
+                const limit = approvableQuantity(item);
+                if (!Number.isFinite(limit)) {
+                    return res.status(400).json({ success: false, error: `Component ${item['Component ID']} has no numeric quantity to cut` });
+                }
+                if (!(quantity > 0) || quantity > limit) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Approved quantity for component ${item['Component ID']} must be more than 0 and at most ${limit} (reject the line to approve none)`
+                    });
+                }
+            }
+            // Neither the delegate nor the approver they stand in for may sign two steps,
+            // and neither may whoever signed a stuck step on escalation
+            const deciders = [req.user.name, delegated && delegated.onBehalfOf].filter(Boolean);
+            if (picked.some(({ item }) => (item['Approvals'] || []).some(approval =>
+                deciders.includes(approval.approvedBy) || deciders.includes(approval.onBehalfOf)))) {
+                return res.status(403).json({
+                    success: false,
+                    error: `${delegated ? `You or ${delegated.onBehalfOf}` : 'You'} already approved an earlier step of request ${group.number}; the ${currentStep.label} step needs another approver`
+                });
+            }
+        
+            // Issues must fit the stock on the shelf when their last step approves them;
+            // at earlier steps a shortfall is only reported
+            let stockShortfalls = [];
+            if (group.type === 'issue') {
+                const issuing = picked.map(({ item, line }) => hasQuantity(line.approvedQuantity)
+                    ? { ...item, 'Approved Quantity': Number(line.approvedQuantity) }
+                    : item);
+                stockShortfalls = stockLedger.checkStock(currentData, issuing).blocked;
+                if (stockShortfalls.length > 0 && approvals.length + 1 === steps.length) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `Not enough stock to approve: ${stockLedger.describeShortfalls(stockShortfalls)}. Cut the quantity or reject the line`,
+                        shortfalls: stockShortfalls
+                    });
+                }
+            }
+        
+            // Every approval is signed; a blank canvas is refused
+            const signature = await storeSignature(approvalData.signature, 'Approver');
+            const before = group.rows.map(item => ({ ...item }));
+            const today = new Date().toISOString().split('T')[0];
+        
+            // Record the step on each approved line; a line's last step approves it
+            picked.forEach(({ item, line }) => {
+                const approvals = Array.isArray(item['Approvals']) ? item['Approvals'] : [];
+                const approval = {
+                    step: currentStep.id,
+                    label: currentStep.label,
+                    approvedBy: req.user.name,
+                    designation: approvalData.designation || null,
+                    date: today,
+                    at: new Date().toISOString(),
+                    signature: signature.path,
+                    signatureSha256: signature.sha256
+                };
+                if (delegated) {
+                    Object.assign(approval, delegated);
+                }
+                if (viaEscalation) {
+                    approval.escalatedTo = age.escalatedTo.label;
+                }
+                if (hasQuantity(line.approvedQuantity)) {
+                    approval.approvedQuantity = Number(line.approvedQuantity);
+                    item['Approved Quantity'] = approval.approvedQuantity;
+                }
+                if (line.reason) {
+                    approval.reason = line.reason.toString();
+                }
+                item['Approvals'] = [...approvals, approval];
+        
+                if (approvals.length + 1 === steps.length) {
+                    lifecycle.setState(item, lifecycle.APPROVED, req.user.name);
+                    item['Approved By'] = req.user.name;
+                    if (delegated) {
+                        item['Approved On Behalf Of'] = delegated.onBehalfOf;
+                    }
+                    if (approvalData.designation) {
+                        item['Approver Designation'] = approvalData.designation;
+                    }
+                    item['Approval Date'] = today;
+                    item['Approval Signature'] = signature.path;
+                    item['Approval Signature SHA-256'] = signature.sha256;
+                }
+            });
+        
+            const ionStatus = ionStatusOf(group.rows);
+            group.rows.forEach(item => { item['ION Status'] = ionStatus; });
+        
+            const success = saveInventory(currentData, auditEntry(req, 'approve', before, group.rows));
+        
+            if (success) {
+                const nextStep = approvalChains.progressOf(group).currentStep;
+                console.log(`SUCCESS: ${currentStep.label} approval saved for ${picked.length} line(s)` +
+                    (delegated ? ` (for ${delegated.onBehalfOf})` : '') + (nextStep ? `, next: ${nextStep.label}` : `, request ${ionStatus}`));
+                setRequestVersion(res, currentData, requestId);
+                res.json({ 
+                    success: true, 
+                    message: `Approved ${picked.length} line(s) at the ${currentStep.label} step` +
+                        (viaEscalation ? ' on escalation' : '') +
+                        (delegated ? ` on behalf of ${delegated.onBehalfOf}` : '') + `. ${decisionOutcome(group, currentStep, nextStep, ionStatus)}` +
+                        (stockShortfalls.length ? ` Not enough stock yet for ${stockLedger.describeShortfalls(stockShortfalls)}.` : ''),
+                    itemsUpdated: picked.length,
+                    status: ionStatus,
+                    nextStep,
+                    stockShortfalls
+                });
+            } else {
+                console.log('ERROR: Failed to save to inventory store');
+                res.status(500).json({ 
+                    success: false,
+                    error: "Failed to save approval" 
+                });
+            }
+        });
     } catch (error) {
         console.error("ERROR in approval:", error);
         console.error("Stack trace:", error.stack);
-        res.status(500).json({ 
+        res.status(error.status || 500).json({ 
             success: false,
-            error: "Server error: " + error.message 
+            error: error.status ? error.message : "Server error: " + error.message 
         });
     }
 });
 
 // Reject request endpoint - COMPLETELY FIXED
-app.post('/api/requests/reject', async (req, res) => {
+app.post('/api/requests/reject', requireApprover, async (req, res) => {
     try {
         const { requestId, rejectionReason } = req.body;
         console.log('\n=== REJECTION REQUEST ===');
         console.log('Request ID:', requestId);
         console.log('Rejection Reason:', rejectionReason);
         
-        const currentData = loadExcelSync();
-        console.log('Total items in Excel:', currentData.length);
+        await withInventoryLock(async () => {
+            const currentData = loadInventory();
+            const group = requestId !== undefined && requestId !== null ? findRequestGroup(currentData, requestId) : null;
         
-        // Find all items with matching Issue No or Storage No or Component ID
-        let matchingIndices = [];
-        let updatedCount = 0;
-        
-        for (let i = 0; i < currentData.length; i++) {
-            const item = currentData[i];
-            const issueNo = item['Issue No'] ? item['Issue No'].toString() : null;
-            const storageNo = item['Storage No'] ? item['Storage No'].toString() : null;
-            const componentId = item['Component ID'] ? item['Component ID'].toString() : null;
-            const reqId = requestId.toString();
-            
-            if (issueNo === reqId || storageNo === reqId || componentId === reqId) {
-                matchingIndices.push(i);
-                console.log(`Match found at index ${i}:`, item['Component ID']);
+            if (!group) {
+                console.log('ERROR: No matching items found');
+                return res.status(404).json({ 
+                    success: false,
+                    error: "Request not found in database" 
+                });
+            }
+            // Any step's approver can reject while the request is at their step, and
+            // the next step's approvers once it is escalated
+            const progress = approvalChains.progressOf(group);
+            const { currentStep, waiting } = progress;
+            if (!currentStep) {
+                return res.status(409).json({ success: false, error: `Request ${group.number} is not pending` });
+            }
+            const age = ageing.ageOf(progress);
+            if (!checkAccess(req, res, decisionRoles(currentStep, age), group.rows, approvalRolesOf(req))) return;
+            if (!checkIfMatch(req, res, group)) return;
+            const viaEscalation = !access.canAccessRows(approvalRolesOf(req), [currentStep.role], group.rows);
+            const delegated = delegationFor(req, viaEscalation ? age.escalatedTo : currentStep, group.rows);
+        
+            // Without a list of lines the whole request (every pending line) is rejected
+            const picked = decisionLines(req, res, group, waiting, group.rows.filter(isPending));
+            if (!picked) return;
+        
+            const reasons = picked.map(({ line }) => (line.reason || rejectionReason || '').toString().trim());
+            if (reasons.some(reason => !reason)) {
+                return res.status(400).json({ success: false, error: "A rejection reason is required for every rejected line" });
             }
-        }
         
-        console.log('Matching items found:', matchingIndices.length);
+            const before = group.rows.map(item => ({ ...item }));
         
-        if (matchingIndices.length === 0) {
-            console.log('ERROR: No matching items found');
-            return res.status(404).json({ 
-                success: false,
-                error: "Request not found in database" 
+            picked.forEach(({ item }, index) => {
+                lifecycle.setState(item, lifecycle.REJECTED, req.user.name, reasons[index]);
+                item['Rejection Reason'] = reasons[index];
+                item['Rejection Date'] = new Date().toISOString().split('T')[0];
+                item['Rejected By'] = req.user.name;
+                if (delegated) {
+                    item['Rejected On Behalf Of'] = delegated.onBehalfOf;
+                }
+                item['Rejected At Step'] = currentStep.label;
+                if (viaEscalation) {
+                    item['Rejected On Escalation To'] = age.escalatedTo.label;
+                }
             });
-        }
         
-        // Update all matching items
-        matchingIndices.forEach(index => {
-            currentData[index]['Status'] = 'Rejected';
-            currentData[index]['Rejection Reason'] = rejectionReason;
-            currentData[index]['Rejection Date'] = new Date().toISOString().split('T')[0];
-            updatedCount++;
-            console.log(`Updated item ${updatedCount}:`, currentData[index]['Component ID']);
+            const ionStatus = ionStatusOf(group.rows);
+            group.rows.forEach(item => { item['ION Status'] = ionStatus; });
+        
+            const success = saveInventory(currentData, auditEntry(req, 'reject', before, group.rows));
+        
+            if (success) {
+                const nextStep = approvalChains.progressOf(group).currentStep;
+                console.log(`SUCCESS: Rejection of ${picked.length} line(s) saved at the ${currentStep.label} step`);
+                setRequestVersion(res, currentData, requestId);
+                res.json({ 
+                    success: true, 
+                    message: `Rejected ${picked.length} line(s) at the ${currentStep.label} step` +
+                        (viaEscalation ? ' on escalation' : '') +
+                        (delegated ? ` on behalf of ${delegated.onBehalfOf}` : '') + `. ${decisionOutcome(group, currentStep, nextStep, ionStatus)}`,
+                    itemsUpdated: picked.length,
+                    status: ionStatus,
+                    nextStep
+                });
+            } else {
+                console.log('ERROR: Failed to save to inventory store');
+                res.status(500).json({ 
+                    success: false,
+                    error: "Failed to save rejection" 
+                });
+            }
         });
-        
-        console.log('Total items updated:', updatedCount);
-        console.log('Attempting to save to Excel...');
-        
-        const success = saveToExcelSync(currentData);
-        
-        if (success) {
-            console.log('SUCCESS: Rejection saved to Excel');
-            res.json({ 
-                success: true, 
-                message: `Request rejected successfully! ${updatedCount} item(s) updated.`,
-                itemsUpdated: updatedCount
-            });
-        } else {
-            console.log('ERROR: Failed to save to Excel');
-            res.status(500).json({ 
-                success: false,
-                error: "Failed to save rejection to Excel file" 
-            });
-        }
     } catch (error) {
         console.error("ERROR in rejection:", error);
         console.error("Stack trace:", error.stack);
@@ -663,6 +2474,156 @@ app.post('/api/requests/reject', async (req, res) => {
     }
 });
 
+// Move a request through its lifecycle (see lifecycle.js).
+// Body: { requestId, to, note, lines, collectedBy, acknowledged, units }
+//   Submitted: submit a draft, or resubmit after clarification (requester / store keeper)
+//   Returned for Clarification: back to the requester with a note (approver of the current step)
+//   Issued: handed over; needs collectedBy and the collector's acknowledgment (store keeper).
+//           units: [{ componentId, serials, lotNo }] names the units each line hands over
+//   Closed: finished with (store keeper or system manager)
+//   Cancelled: withdrawn before issue (requester / store keeper)
+// Approved and Rejected are set by the approve and reject routes. Every line that
+// can make the move is moved, or only the Component IDs listed in `lines`.
+app.post('/api/requests/transition', async (req, res) => {
+    try {
+        const { requestId, note, collectedBy, acknowledged } = req.body || {};
+        const to = lifecycle.STATES.find(state => state.toLowerCase() === ((req.body || {}).to || '').toString().toLowerCase());
+        console.log('\n=== STATE CHANGE ===');
+        console.log('Request ID:', requestId, 'To:', to);
+        
+        if (!to) {
+            return res.status(400).json({ success: false, error: `Unknown state; use one of ${lifecycle.STATES.join(', ')}` });
+        }
+        if (to === lifecycle.APPROVED || to === lifecycle.REJECTED) {
+            return res.status(400).json({ success: false, error: "Requests are approved and rejected through the approval queue" });
+        }
+        const { lines } = req.body;
+        if (lines !== undefined && lines !== null && !isIdList(lines)) {
+            return res.status(400).json({ success: false, error: "lines must be a list of Component IDs" });
+        }
+        
+        await withInventoryLock(async () => {
+            const currentData = loadInventory();
+            const group = requestId !== undefined && requestId !== null ? findRequestGroup(currentData, requestId) : null;
+            
+            if (!group) {
+                return res.status(404).json({ success: false, error: "Request not found" });
+            }
+            
+            const listed = lines ? lines.map(id => id.toString()) : null;
+            const rows = group.rows.filter(item => lifecycle.canMove(item, to) &&
+                (!listed || listed.includes(item['Component ID'].toString())));
+            if (rows.length === 0) {
+                const states = [...new Set(group.rows.map(lifecycle.stateOf))].join(', ');
+                return res.status(409).json({ success: false, error: `Request ${group.number} (${states}) can't move to ${to}` });
+            }
+            
+            const { currentStep } = approvalChains.progressOf(group);
+            if (!checkAccess(req, res, transitionRoles(group.type, to, currentStep), rows, transitionUserRoles(req, to))) return;
+            if (!checkIfMatch(req, res, group)) return;
+            
+            const reason = (note || '').toString().trim();
+            const collector = (collectedBy || '').toString().trim();
+            if (to === lifecycle.RETURNED_FOR_CLARIFICATION && !reason) {
+                return res.status(400).json({ success: false, error: "Say what needs clarifying in the note" });
+            }
+            if (to === lifecycle.ISSUED && !collector) {
+                return res.status(400).json({ success: false, error: "Name the person collecting the components" });
+            }
+            if (to === lifecycle.ISSUED && acknowledged !== true && acknowledged !== 'true') {
+                return res.status(400).json({ success: false, error: "The collector must acknowledge receipt of the components" });
+            }
+            
+            // A cancelled receipt takes its stock off the shelf, so it can't be cancelled
+            // once that stock or its serialised units have been issued
+            if (to === lifecycle.CANCELLED && group.type === 'storage') {
+                const used = stockLedger.checkWithdrawal(currentData, rows);
+                const serials = traceability.issuedSerials(currentData, rows);
+                if (used.length > 0 || serials.length > 0) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `Receipt ${group.number} can't be cancelled: its stock has already been issued (` +
+                            [...used.map(({ partNo, withdrawn, available }) => `${partNo}: ${withdrawn} received, ${available} left in store`),
+                                ...(serials.length ? [`units ${serials.join(', ')} issued`] : [])].join('; ') + ')'
+                    });
+                }
+            }
+            
+            // Units handed over, checked line by line so no unit goes out twice
+            const handovers = new Map();
+            if (to === lifecycle.ISSUED && group.type === 'issue') {
+                const units = Array.isArray(req.body.units) ? req.body.units : [];
+                try {
+                    for (const item of rows) {
+                        const handover = units.find(unit => unit && unit.componentId !== undefined && unit.componentId !== null &&
+                            unit.componentId.toString() === item['Component ID'].toString());
+                        const handedOver = currentData.map(row => handovers.has(row) ? { ...row, ...handovers.get(row) } : row);
+                        handovers.set(item, traceability.checkHandover(handedOver, item, handover));
+                    }
+                } catch (error) {
+                    return res.status(error.status || 400).json({ success: false, error: error.message });
+                }
+            }
+            
+            // A submitted issue reserves stock, so it must fit like a new one (at the
+            // quantity asked for, since resubmission drops earlier cuts)
+            let stockWarnings = [];
+            if (to === lifecycle.SUBMITTED && group.type === 'issue') {
+                const stock = stockLedger.checkStock(currentData, rows.map(({ 'Approved Quantity': cut, ...item }) => item));
+                if (stock.blocked.length > 0) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `Not enough stock: ${stockLedger.describeShortfalls(stock.blocked)}`,
+                        shortfalls: stock.blocked
+                    });
+                }
+                stockWarnings = stock.warnings;
+            }
+            
+            const before = group.rows.map(item => ({ ...item }));
+            
+            rows.forEach(item => {
+                lifecycle.setState(item, to, req.user.name, reason);
+                // A (re)submitted request goes through its approval chain from the first step
+                if (to === lifecycle.SUBMITTED) {
+                    delete item['Approvals'];
+                    delete item['Approved Quantity'];
+                }
+                if (to === lifecycle.RETURNED_FOR_CLARIFICATION) {
+                    item['Clarification Note'] = reason;
+                }
+                if (to === lifecycle.ISSUED) {
+                    item['Collected By'] = collector;
+                    item['Collected At'] = item['Status Changed At'];
+                    item['Collector Acknowledged'] = true;
+                    item['Issued By'] = req.user.name;
+                    Object.assign(item, handovers.get(item));
+                }
+            });
+            
+            const success = saveInventory(currentData, auditEntry(req, 'transition', before, group.rows));
+            
+            if (success) {
+                console.log(`SUCCESS: ${rows.length} line(s) of ${group.number} moved to ${to}`);
+                setRequestVersion(res, currentData, group.number);
+                res.json({
+                    success: true,
+                    message: `Request ${group.number}: ${rows.length} line(s) moved to ${to}` +
+                        (stockWarnings.length ? `. Stock is short once other pending requests are counted: ${stockLedger.describeShortfalls(stockWarnings)}` : ''),
+                    itemsUpdated: rows.length,
+                    state: to,
+                    stockWarnings
+                });
+            } else {
+                res.status(500).json({ success: false, error: "Failed to save the state change" });
+            }
+        });
+    } catch (error) {
+        console.error("ERROR in state change:", error);
+        res.status(500).json({ success: false, error: "Server error: " + error.message });
+    }
+});
+
 // Delete component endpoint - deletes all items with matching Issue No, Storage No, or Component ID
 app.delete('/api/components/:identifier', async (req, res) => {
     try {
@@ -670,49 +2631,66 @@ app.delete('/api/components/:identifier', async (req, res) => {
         console.log('\n=== DELETE REQUEST ===');
         console.log('Identifier:', identifier);
         
-        const currentData = loadExcelSync();
-        console.log('Total items before delete:', currentData.length);
+        await withInventoryLock(async () => {
+            const currentData = loadInventory();
+            console.log('Total items before delete:', currentData.length);
         
-        // Find all items matching the identifier
-        const remainingData = currentData.filter(item => {
-            const issueNo = item['Issue No'] ? item['Issue No'].toString() : null;
-            const storageNo = item['Storage No'] ? item['Storage No'].toString() : null;
-            const componentId = item['Component ID'] ? item['Component ID'].toString() : null;
-            const id = identifier.toString();
+            // Find all items matching the identifier
+            const remainingData = currentData.filter(item => {
+                const issueNo = item['Issue No'] ? item['Issue No'].toString() : null;
+                const storageNo = item['Storage No'] ? item['Storage No'].toString() : null;
+                const componentId = item['Component ID'] ? item['Component ID'].toString() : null;
+                const id = identifier.toString();
             
-            // Keep items that DON'T match
-            return !(issueNo === id || storageNo === id || componentId === id);
-        });
+                // Keep items that DON'T match
+                return !(issueNo === id || storageNo === id || componentId === id);
+            });
         
-        const deletedCount = currentData.length - remainingData.length;
-        console.log('Items to delete:', deletedCount);
-        console.log('Items remaining:', remainingData.length);
+            const deletedCount = currentData.length - remainingData.length;
+            console.log('Items to delete:', deletedCount);
+            console.log('Items remaining:', remainingData.length);
         
-        if (deletedCount === 0) {
-            console.log('ERROR: No matching items found');
-            return res.status(404).json({ 
-                success: false,
-                error: "Component not found" 
-            });
-        }
+            if (deletedCount === 0) {
+                console.log('ERROR: No matching items found');
+                return res.status(404).json({ 
+                    success: false,
+                    error: "Component not found" 
+                });
+            }
         
-        console.log('Attempting to save to Excel...');
-        const success = saveToExcelSync(remainingData);
+            const deletedItems = currentData.filter(item => !remainingData.includes(item));
+            const deleteRoles = [...new Set(deletedItems.flatMap(item => editorRoles(rowType(item))))];
+            if (!checkAccess(req, res, deleteRoles, deletedItems)) return;
+            if (!checkIfMatch(req, res, findRequestGroup(currentData, identifier))) return;
+            
+            // Approved, issued and closed records feed the stock ledger and the audit
+            // trail; they are cancelled or closed, never deleted. Returns are final too.
+            const locked = deletedItems.filter(item => rowType(item) === 'return' || !lifecycle.isEditable(item));
+            if (locked.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: `Only draft, submitted or returned-for-clarification requests can be deleted: ${locked.map(item => `${item['Component ID']} (${lifecycle.stateOf(item) || item.Type})`).join(', ')}`
+                });
+            }
         
-        if (success) {
-            console.log('SUCCESS: Components deleted from Excel');
-            res.json({ 
-                success: true, 
-                message: `Successfully deleted ${deletedCount} component(s)`,
-                itemsDeleted: deletedCount
-            });
-        } else {
-            console.log('ERROR: Failed to save to Excel');
-            res.status(500).json({ 
-                success: false,
-                error: "Failed to save changes to Excel file" 
-            });
-        }
+            console.log('Attempting to save to inventory store...');
+            const success = saveInventory(remainingData, auditEntry(req, 'delete', deletedItems, []));
+        
+            if (success) {
+                console.log('SUCCESS: Components deleted');
+                res.json({ 
+                    success: true, 
+                    message: `Successfully deleted ${deletedCount} component(s)`,
+                    itemsDeleted: deletedCount
+                });
+            } else {
+                console.log('ERROR: Failed to save to inventory store');
+                res.status(500).json({ 
+                    success: false,
+                    error: "Failed to save changes" 
+                });
+            }
+        });
     } catch (error) {
         console.error("ERROR in delete:", error);
         console.error("Stack trace:", error.stack);
@@ -723,6 +2701,517 @@ app.delete('/api/components/:identifier', async (req, res) => {
     }
 });
 
+// Line item fields a PATCH may change, by request type (form field -> columns)
+const LINE_FIELDS = {
+    issue: {
+        serialNo: ['Serial No'],
+        snoSO: ['S.No as per SO'],
+        partNo: ['Part No'],
+        partDescription: ['Part Description'],
+        manufacturer: ['Manufacturer'],
+        qualityGrade: ['Quality Grade'],
+        subSystem: ['Sub System'],
+        quantityEach: ['Quantity Each'],
+        totalQuantity: ['Total Quantity'],
+        soNo: ['SO No'],
+        issueDate: ['Issue Date'],
+        storageTemp: ['Storage Temperature']
+    },
+    storage: {
+        serialNo: ['Serial No'],
+        snoPO: ['S.No as per PO'],
+        partNo: ['Part No'],
+        partDescription: ['Part Description'],
+        grade: ['Grade'],
+        quantity: ['Storage Quantity'],
+        storageTemp: ['Storage Temperature'],
+        relativeHumidity: ['Relative Humidity'],
+        storageData: ['Storage Data'],
+        deliveryDate: ['Delivery Date'],
+        lotNo: ['Lot No']
+    }
+};
+
+// Header fields shared by every line of an ION (form field -> columns)
+const HEADER_FIELDS = {
+    issue: {
+        requestText: ['Request Text'],
+        issueTo: ['Issued To'],
+        issueFor: ['Issue For'],
+        systemManager: ['System Manager']
+    },
+    storage: {
+        storageDate: ['Storage Date'],
+        soNumber: ['SO Number', 'SO No'],
+        requestText: ['Request Text'],
+        systemManager: ['System Manager']
+    }
+};
+
+function isPending(item) {
+    return lifecycle.isAwaitingApproval(item);
+}
+
+function hasStatus(item, status) {
+    return Boolean(item.Status) && item.Status.toString().toLowerCase() === status.toLowerCase();
+}
+
+// Quantity a line asks for (Total Quantity on issues, Storage Quantity on storage)
+function requestedQuantity(item) {
+    const value = item['Total Quantity'] !== undefined ? item['Total Quantity'] : item['Storage Quantity'];
+    return value === undefined || value === null || value === '' ? NaN : Number(value);
+}
+
+// Whether an approve call gave a quantity for a line
+function hasQuantity(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+// Most an approver may approve on a line: the requested quantity, or less if an
+// earlier step already cut it
+function approvableQuantity(item) {
+    return item['Approved Quantity'] !== undefined ? Number(item['Approved Quantity']) : requestedQuantity(item);
+}
+
+// Overall status of an ION, derived from its lines: Pending while any line waits,
+// then Fully Approved, Partially Approved (some lines rejected or cut) or Rejected.
+// Lines issued or closed since their approval still count as approved.
+function ionStatusOf(rows) {
+    if (rows.some(isPending)) return 'Pending';
+
+    const approved = rows.filter(item => [lifecycle.APPROVED, lifecycle.ISSUED, lifecycle.CLOSED].includes(lifecycle.stateOf(item)));
+    if (approved.length === 0) return 'Rejected';
+
+    const cut = approved.some(item => item['Approved Quantity'] !== undefined &&
+        Number(item['Approved Quantity']) < requestedQuantity(item));
+    return approved.length === rows.length && !cut ? 'Fully Approved' : 'Partially Approved';
+}
+
+// Requests waiting for approval, one per Issue No / Storage No, oldest first:
+// [{ item, group, steps, approvals, currentStep, waiting, age }] with item the
+// first waiting row and age from ageing.ageOf()
+function awaitingGroups(data) {
+    const groups = new Map();
+    data.filter(item => lifecycle.isAwaitingApproval(item)).forEach(item => {
+        const groupKey = item['Issue No'] || item['Storage No'];
+        if (!groupKey || groups.has(groupKey)) return;
+
+        const group = findRequestGroup(data, groupKey);
+        const progress = approvalChains.progressOf(group);
+        if (progress.currentStep) {
+            groups.set(groupKey, { item, group, ...progress, age: ageing.ageOf(progress) });
+        }
+    });
+    return [...groups.values()].sort((a, b) => (a.age.waitingSince || '').localeCompare(b.age.waitingSince || ''));
+}
+
+// Roles that may decide a request at its current step: the step's own, and
+// the next step's once the request has been escalated
+function decisionRoles(currentStep, age) {
+    return age.escalated ? [currentStep.role, age.escalatedTo.role] : [currentStep.role];
+}
+
+// What an approval or rejection left the request waiting for, for the response message
+function decisionOutcome(group, currentStep, nextStep, ionStatus) {
+    if (!nextStep) return `Request ${group.number} is ${ionStatus}.`;
+    if (nextStep.id === currentStep.id) return `Other lines still wait for the ${nextStep.label}.`;
+    return `The request now waits for the ${nextStep.label}.`;
+}
+
+// Lines an approval or rejection applies to. req.body.lines is an optional list of
+// { componentId, approvedQuantity, reason }; without it the decision covers `all`.
+// Listed lines must be waiting at the current step. Responds with an error and
+// returns null if the list can't be used, else [{ item, line }].
+function decisionLines(req, res, group, waiting, all) {
+    const lines = req.body.lines;
+    if (lines === undefined || lines === null) {
+        return all.map(item => ({ item, line: {} }));
+    }
+    if (!Array.isArray(lines) || lines.length === 0) {
+        res.status(400).json({ success: false, error: "lines must be a non-empty list of { componentId, ... }" });
+        return null;
+    }
+
+    const picked = [];
+    for (const line of lines) {
+        const id = line && line.componentId !== undefined && line.componentId !== null ? line.componentId.toString() : '';
+        const item = group.rows.find(row => row['Component ID'] !== undefined && row['Component ID'].toString() === id);
+
+        if (!item) {
+            res.status(400).json({ success: false, error: `Component ${id || '(none)'} is not a line of request ${group.number}` });
+            return null;
+        }
+        if (!waiting.includes(item)) {
+            res.status(409).json({ success: false, error: `Component ${id} is not waiting at this approval step` });
+            return null;
+        }
+        if (picked.some(entry => entry.item === item)) {
+            res.status(400).json({ success: false, error: `Component ${id} is listed more than once` });
+            return null;
+        }
+        picked.push({ item, line });
+    }
+    return picked;
+}
+
+// Find the request (ION) an identifier refers to: an Issue No, a Storage No,
+// or a Component ID, which resolves to the whole ION it belongs to.
+// Returns { type: 'issue' | 'storage', number, rows } or null.
+function findRequestGroup(data, identifier) {
+    const id = identifier.toString();
+    const matches = (value) => value !== undefined && value !== null && value.toString() === id;
+    const groupOf = (column, number) => ({
+        type: column === 'Issue No' ? 'issue' : 'storage',
+        number: number.toString(),
+        rows: data.filter(item => item[column] !== undefined && item[column] !== null &&
+            item[column].toString() === number.toString())
+    });
+
+    if (data.some(item => matches(item['Issue No']))) return groupOf('Issue No', id);
+    if (data.some(item => matches(item['Storage No']))) return groupOf('Storage No', id);
+
+    const component = data.find(item => matches(item['Component ID']));
+    if (!component) return null;
+    if (component['Issue No']) return groupOf('Issue No', component['Issue No']);
+    if (component['Storage No']) return groupOf('Storage No', component['Storage No']);
+    return {
+        type: component.Type === 'Stored Component' ? 'storage' : 'issue',
+        number: id,
+        rows: [component]
+    };
+}
+
+// The lot and unit serials a row carries, for history details
+function unitsText(item) {
+    const serials = traceability.serialsOf(item);
+    return [item['Lot No'] && `lot ${item['Lot No']}`, serials.length > 0 && `units ${serials.join(', ')}`].filter(Boolean).join(', ');
+}
+
+// Events in the life of an inventory row, for the component history
+function componentHistory(data, item) {
+    const events = [{
+        date: item['Issue Date'] || item['Storage Date'] || item.Date || '',
+        event: item.Type === 'Stored Component' ? 'Received for storage' : 'Issue requested',
+        by: item['Submitted By'] || null,
+        quantity: Number.isFinite(requestedQuantity(item)) ? requestedQuantity(item) : null,
+        details: [item['Issue No'] || item['Storage No'], item.Type === 'Stored Component' && unitsText(item)].filter(Boolean).join('; ')
+    }];
+    
+    const approvals = Array.isArray(item['Approvals']) ? item['Approvals'] : [];
+    approvals.forEach(approval => events.push({
+        date: approval.date,
+        event: `Approved by ${approval.label}`,
+        by: approval.onBehalfOf ? `${approval.approvedBy} for ${approval.onBehalfOf}` : approval.approvedBy,
+        quantity: approval.approvedQuantity !== undefined ? approval.approvedQuantity : null,
+        details: [approval.reason, approval.escalatedTo && `on escalation to the ${approval.escalatedTo}`].filter(Boolean).join('; ')
+    }));
+    // Rows approved before approval chains only carry the final approval
+    if (approvals.length === 0 && item['Approved By']) {
+        events.push({ date: item['Approval Date'] || '', event: 'Approved', by: item['Approved By'], quantity: null, details: '' });
+    }
+    // Later lifecycle moves; the first entry is the request itself, and approval
+    // and rejection are listed on their own
+    (Array.isArray(item['State History']) ? item['State History'] : []).slice(1)
+        .filter(entry => entry.state !== lifecycle.APPROVED && entry.state !== lifecycle.REJECTED)
+        .forEach(entry => events.push({
+            date: entry.at,
+            event: entry.state === lifecycle.ISSUED && item['Collected By'] ? `Issued to ${item['Collected By']}` : entry.state,
+            by: entry.by,
+            quantity: null,
+            details: [entry.note, entry.state === lifecycle.ISSUED && unitsText(item)].filter(Boolean).join('; ')
+        }));
+    if (hasStatus(item, 'Rejected')) {
+        events.push({
+            date: item['Rejection Date'] || '',
+            event: item['Rejected At Step'] ? `Rejected by ${item['Rejected At Step']}` : 'Rejected',
+            by: item['Rejected On Behalf Of'] ? `${item['Rejected By']} for ${item['Rejected On Behalf Of']}` : item['Rejected By'] || null,
+            quantity: null,
+            details: item['Rejection Reason'] || ''
+        });
+    }
+    
+    (Array.isArray(item['Location History']) ? item['Location History'] : []).forEach(entry => events.push({
+        date: entry.at,
+        event: entry.from ? `Moved from ${entry.from} to ${entry.to || '(no location)'}` : `Placed in ${entry.to}`,
+        by: entry.by,
+        quantity: null,
+        details: entry.note || ''
+    }));
+    
+    data.filter(row => row['Returned Component ID'] !== undefined && row['Returned Component ID'] !== null &&
+        row['Returned Component ID'].toString() === item['Component ID'].toString())
+        .forEach(row => events.push({
+            date: row['Return Date'] || row.Date || '',
+            event: `Returned to store (${row['Condition']})`,
+            by: row['Received By'] || null,
+            quantity: stockLedger.quantityOf(row),
+            details: [[row['Return No'], row['Remarks']].filter(Boolean).join(': '), unitsText(row)].filter(Boolean).join('; ')
+        }));
+    
+    return events.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+}
+
+// Version of a request group, sent as its ETag. It is derived from the rows
+// themselves, so any change to any line of the ION gives a new version.
+function requestVersion(rows) {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(rows)).digest('hex');
+    return `"${hash.slice(0, 16)}"`;
+}
+
+// Optimistic concurrency check for writes to a request group. The client must
+// send the version it last read as If-Match; if the group has changed since,
+// reply 409 with its current state. Returns false when a response was sent.
+function checkIfMatch(req, res, group) {
+    const ifMatch = req.get('If-Match');
+    const version = requestVersion(group.rows);
+
+    if (!ifMatch) {
+        res.status(428).json({
+            success: false,
+            error: "If-Match header with the request version is required"
+        });
+        return false;
+    }
+
+    const versions = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    if (!versions.includes('*') && !versions.includes(version)) {
+        console.log(`Version conflict on ${group.number}: client ${ifMatch}, current ${version}`);
+        res.status(409).set('ETag', version).json({
+            success: false,
+            conflict: true,
+            error: `Request ${group.number} was changed by someone else. Reload it and try again.`,
+            version,
+            current: group.rows
+        });
+        return false;
+    }
+
+    return true;
+}
+
+// Send the new version of a request group after a successful write
+function setRequestVersion(res, data, identifier) {
+    if (identifier === undefined || identifier === null) return;
+    const group = findRequestGroup(data, identifier);
+    if (group) res.set('ETag', requestVersion(group.rows));
+}
+
+// Copy the fields present in `source` onto an inventory row
+function applyFields(item, source, fieldMap) {
+    for (const [field, columns] of Object.entries(fieldMap)) {
+        if (!Object.prototype.hasOwnProperty.call(source, field) || source[field] === undefined) continue;
+        columns.forEach(column => item[column] = source[field]);
+    }
+}
+
+// Header values of an existing request, in the shape the item builders take
+function requestHeaderOf(item, type) {
+    if (type === 'issue') {
+        return {
+            issueNo: item['Issue No'],
+            issueDate: item['Issue Date'],
+            requestText: item['Request Text'],
+            issueTo: item['Issued To'],
+            issueFor: item['Issue For'],
+            systemManager: item['System Manager'],
+            submittedBy: item['Submitted By'],
+            signature: signatureOf(item)
+        };
+    }
+    return {
+        storageNo: item['Storage No'],
+        storageDate: item['Storage Date'],
+        soNumber: item['SO Number'],
+        requestText: item['Request Text'],
+        systemManager: item['System Manager'],
+        submittedBy: item['Submitted By'],
+        signature: signatureOf(item)
+    };
+}
+
+// The requester's signature on an existing row, in the shape storeSignature returns
+function signatureOf(item) {
+    return item['Requester Signature']
+        ? { path: item['Requester Signature'], sha256: item['Requester Signature SHA-256'] || null }
+        : null;
+}
+
+// A list of Component IDs (strings or numbers), as sent in `remove` or `lines`
+function isIdList(value) {
+    return Array.isArray(value) && value.every(id => typeof id === 'string' || typeof id === 'number');
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// What is wrong with the shape of a PATCH body, or null if it can be applied
+function patchProblem(patch) {
+    if (!isPlainObject(patch)) return "Send the changes as an object: { header, update, add, remove }";
+    if (patch.header !== undefined && !isPlainObject(patch.header)) return "header must be an object of fields";
+    if (patch.update !== undefined && !(Array.isArray(patch.update) &&
+        patch.update.every(update => isPlainObject(update) && isIdList([update.componentId])))) {
+        return "update must be a list of objects, each with the componentId of the line it changes";
+    }
+    if (patch.add !== undefined && !(Array.isArray(patch.add) && patch.add.every(isPlainObject))) {
+        return "add must be a list of line objects";
+    }
+    if (patch.remove !== undefined && !isIdList(patch.remove)) return "remove must be a list of Component IDs";
+    return null;
+}
+
+// Partial update of a pending request. Rows are changed in place and keep
+// their Component IDs. Body is JSON, or multipart with the same object as a
+// `patch` field plus soPdf_<pdfIndex> files for issue lines:
+//   { header: { issueTo, ... },
+//     update: [{ componentId, partNo, totalQuantity, ... }],
+//     add: [{ partNo, ... }],
+//     remove: ['CMP-012'] }
+app.patch('/api/components/:identifier', async (req, res) => {
+    try {
+        await ensureUploadDir();
+        const identifier = req.params.identifier;
+        let patch = req.body;
+        if (patch && typeof patch.patch === 'string') {
+            try {
+                patch = JSON.parse(patch.patch);
+            } catch (error) {
+                return res.status(400).json({ success: false, error: "The patch field is not valid JSON" });
+            }
+        }
+        const problem = patchProblem(patch);
+        if (problem) {
+            return res.status(400).json({ success: false, error: problem });
+        }
+        const header = patch.header || {};
+        const updates = patch.update || [];
+        const additions = patch.add || [];
+        const removals = (patch.remove || []).map(id => id.toString());
+        console.log('\n=== PATCH REQUEST ===');
+        console.log('Identifier:', identifier);
+        console.log('Updates:', updates.length, 'Additions:', additions.length, 'Removals:', removals.length);
+        
+        await withInventoryLock(async () => {
+            const currentData = loadInventory();
+            const group = findRequestGroup(currentData, identifier);
+            
+            if (!group) {
+                return res.status(404).json({ success: false, error: "Request not found" });
+            }
+            
+            if (!checkAccess(req, res, editorRoles(group.type), group.rows)) return;
+            if (!checkIfMatch(req, res, group)) return;
+            
+            if (!group.rows.every(lifecycle.isEditable)) {
+                return res.status(409).json({ success: false, error: "Only draft, submitted or returned requests can be edited" });
+            }
+            
+            const byId = new Map(group.rows.map(item => [item['Component ID'].toString(), item]));
+            const unknownIds = [...updates.map(update => (update.componentId || '').toString()), ...removals]
+                .filter(id => !byId.has(id));
+            if (unknownIds.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Not part of request ${group.number}: ${unknownIds.join(', ')}`
+                });
+            }
+            
+            if (new Set(removals).size >= group.rows.length && additions.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: "A request must keep at least one line item; use DELETE to remove it"
+                });
+            }
+            
+            const before = new Map(group.rows.map(item => [item['Component ID'].toString(), { ...item }]));
+            const defaultName = group.type === 'issue' ? "Issued Component" : "Stored Component";
+            
+            group.rows.forEach(item => applyFields(item, header, HEADER_FIELDS[group.type]));
+            
+            for (const update of updates) {
+                const item = byId.get(update.componentId.toString());
+                applyFields(item, update, LINE_FIELDS[group.type]);
+                if (update.partDescription !== undefined) {
+                    item['Name'] = update.partDescription || defaultName;
+                }
+                if (group.type === 'storage' && update.location !== undefined) {
+                    locations.place(item, update.location, req.user.name);
+                }
+                if (group.type === 'storage' && update.serials !== undefined) {
+                    item['Unit Serials'] = traceability.parseSerials(update.serials);
+                }
+                if (group.type === 'issue') {
+                    const soPdf = await saveSoPdf(req, update, item['Issue No']);
+                    if (soPdf) item['SO PDF'] = soPdf;
+                }
+            }
+            
+            const remainingData = currentData.filter(item => !removals.includes(item['Component ID'].toString()));
+            const requestHeader = { ...requestHeaderOf(group.rows[0], group.type), status: lifecycle.stateOf(group.rows[0]) };
+            const added = group.type === 'issue'
+                ? await createIssueItems(req, additions, requestHeader, currentData)
+                : createStorageItems(additions, requestHeader, currentData);
+            
+            const removed = removals.filter((id, index) => removals.indexOf(id) === index).map(id => before.get(id));
+            const updated = group.rows.filter(item => !removals.includes(item['Component ID'].toString()) &&
+                JSON.stringify(item) !== JSON.stringify(before.get(item['Component ID'].toString())));
+            const changed = { added, updated, removed };
+            
+            if (added.length === 0 && updated.length === 0 && removed.length === 0) {
+                return res.json({ success: true, message: "No changes", changed });
+            }
+            
+            // An edited request goes through its approval chain again from the first
+            // step, at the quantities now asked for
+            group.rows.filter(item => !removals.includes(item['Component ID'].toString()) &&
+                (item['Approvals'] || item['Approved Quantity'] !== undefined)).forEach(item => {
+                delete item['Approvals'];
+                delete item['Approved Quantity'];
+                if (!updated.includes(item)) updated.push(item);
+            });
+            
+            // A changed request type must still be one of the user's subsystems
+            if (!checkAccess(req, res, editorRoles(group.type), [...updated, ...added])) return;
+            
+            if (group.type === 'storage') {
+                const lines = [...group.rows.filter(item => !removals.includes(item['Component ID'].toString())), ...added];
+                traceability.checkReceipts(remainingData.filter(item => !lines.includes(item)), lines);
+            }
+            
+            if (group.type === 'issue' && requestHeader.status !== lifecycle.DRAFT) {
+                const lines = [...group.rows.filter(item => !removals.includes(item['Component ID'].toString())), ...added];
+                const stock = stockLedger.checkStock(remainingData, lines);
+                if (stock.blocked.length > 0) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `Not enough stock: ${stockLedger.describeShortfalls(stock.blocked)}`,
+                        shortfalls: stock.blocked
+                    });
+                }
+            }
+            
+            const auditBefore = [...updated.map(item => before.get(item['Component ID'].toString())), ...removed];
+            const success = saveInventory([...remainingData, ...added], auditEntry(req, 'patch', auditBefore, [...updated, ...added]));
+            
+            if (success) {
+                console.log('SUCCESS: Request patched');
+                setRequestVersion(res, loadInventory(), group.number);
+                res.json({
+                    success: true,
+                    message: `Updated request ${group.number}: ${updated.length} modified, ${added.length} added, ${removed.length} removed`,
+                    changed
+                });
+            } else {
+                console.log('ERROR: Failed to save');
+                res.status(500).json({ success: false, error: "Failed to save changes" });
+            }
+        });
+    } catch (error) {
+        console.error("Error patching component:", error);
+        res.status(error.status || 500).json({ success: false, error: "Failed to update request: " + error.message });
+    }
+});
+
 // Update component endpoint - handles both issue and storage updates with file uploads
 app.put('/api/components/:identifier', async (req, res) => {
     try {
@@ -732,153 +3221,120 @@ app.put('/api/components/:identifier', async (req, res) => {
         console.log('Identifier:', identifier);
         console.log('Content-Type:', req.headers['content-type']);
         
-        const currentData = loadExcelSync();
-        
-        // Parse components from form data (if multipart) or JSON
-        let components, headerData, isIssueForm = false;
-        
-        // Check if this is multipart form data (Issue form with PDFs)
-        if (req.body.components && typeof req.body.components === 'string') {
-            // Issue form data (multipart with possible PDFs)
-            isIssueForm = true;
-            components = JSON.parse(req.body.components);
-            headerData = {
-                issueNo: req.body.issueNo,
-                issueDate: req.body.issueDate,
-                requestText: req.body.requestText,
-                issueTo: req.body.issueTo,
-                issueFor: req.body.issueFor,
-                systemManager: req.body.systemManager,
-                submittedBy: req.body.submittedBy,
-                type: 'issue'
-            };
-        } else if (req.body.components && Array.isArray(req.body.components)) {
-            // Storage form data (JSON)
-            components = req.body.components;
-            headerData = {
-                storageNo: req.body.storageNo,
-                storageDate: req.body.storageDate,
-                soNumber: req.body.soNumber,
-                systemManager: req.body.systemManager,
-                submittedBy: req.body.submittedBy,
-                type: 'storage'
-            };
-        } else {
-            return res.status(400).json({ error: "Invalid request format" });
-        }
+        await withInventoryLock(async () => {
+            const currentData = loadInventory();
+            const group = findRequestGroup(currentData, identifier);
         
-        console.log('Update type:', headerData.type);
-        console.log('Components to update:', components.length);
+            if (!group) {
+                return res.status(404).json({ error: "Component not found" });
+            }
+            if (!checkAccess(req, res, editorRoles(group.type), group.rows)) return;
+            if (!checkIfMatch(req, res, group)) return;
         
-        // Remove old entries
-        const remainingData = currentData.filter(item => {
-            const issueNo = item['Issue No'] ? item['Issue No'].toString() : null;
-            const storageNo = item['Storage No'] ? item['Storage No'].toString() : null;
-            const componentId = item['Component ID'] ? item['Component ID'].toString() : null;
-            const id = identifier.toString();
-            
-            return !(issueNo === id || storageNo === id || componentId === id);
-        });
+            if (!group.rows.every(lifecycle.isEditable)) {
+                return res.status(409).json({ success: false, error: "Only draft, submitted or returned requests can be edited" });
+            }
+            // The replaced request keeps its state (a draft stays a draft)
+            const status = lifecycle.stateOf(group.rows[0]);
+        
+            // Parse components from form data (if multipart) or JSON
+            let components, headerData, isIssueForm = false;
+        
+            // Check if this is multipart form data (Issue form with PDFs)
+            if (req.body.components && typeof req.body.components === 'string') {
+                // Issue form data (multipart with possible PDFs)
+                isIssueForm = true;
+                components = JSON.parse(req.body.components);
+                headerData = {
+                    issueNo: req.body.issueNo,
+                    issueDate: req.body.issueDate,
+                    requestText: req.body.requestText,
+                    issueTo: req.body.issueTo,
+                    issueFor: req.body.issueFor,
+                    systemManager: req.body.systemManager,
+                    submittedBy: req.user.name,
+                    status,
+                    type: 'issue'
+                };
+            } else if (req.body.components && Array.isArray(req.body.components)) {
+                // Storage form data (JSON)
+                components = req.body.components;
+                headerData = {
+                    storageNo: req.body.storageNo,
+                    storageDate: req.body.storageDate,
+                    soNumber: req.body.soNumber,
+                    requestText: req.body.requestText,
+                    systemManager: req.body.systemManager,
+                    submittedBy: req.user.name,
+                    status,
+                    type: 'storage'
+                };
+            } else {
+                return res.status(400).json({ error: "Invalid request format" });
+            }
         
-        console.log('Removed old entries:', currentData.length - remainingData.length);
+            // The replacement must also be filed under one of the user's subsystems
+            if (!checkAccess(req, res, editorRoles(headerData.type), [{ 'Request Text': headerData.requestText }])) return;
         
-        // Add updated entries
-        const newItems = [];
+            // A new signature may come with the edit; otherwise the request keeps its own
+            headerData.signature = req.body.signature
+                ? await storeSignature(req.body.signature, 'Requester')
+                : signatureOf(group.rows[0]);
         
-        if (headerData.type === 'issue') {
-            for (let i = 0; i < components.length; i++) {
-                const component = components[i];
-                
-                // Handle PDF file upload if exists
-                let pdfFileName = null;
-                if (component.hasPdf && req.files && req.files[`soPdf_${component.pdfIndex}`]) {
-                    const pdfFile = req.files[`soPdf_${component.pdfIndex}`];
-                    const timestamp = Date.now();
-                    const sanitizedPartNo = component.partNo.replace(/[^a-zA-Z0-9]/g, '_');
-                    pdfFileName = `SO_${headerData.issueNo}_${sanitizedPartNo}_${timestamp}.pdf`;
-                    const pdfPath = path.join(UPLOAD_DIR, pdfFileName);
-                    
-                    await pdfFile.mv(pdfPath);
-                    pdfFileName = `/uploads/${pdfFileName}`;
-                } else if (component.existingPdf) {
-                    // Keep existing PDF if no new one uploaded
-                    pdfFileName = component.existingPdf;
+            console.log('Update type:', headerData.type);
+            console.log('Components to update:', components.length);
+        
+            // Remove old entries
+            const remainingData = currentData.filter(item => {
+                const issueNo = item['Issue No'] ? item['Issue No'].toString() : null;
+                const storageNo = item['Storage No'] ? item['Storage No'].toString() : null;
+                const componentId = item['Component ID'] ? item['Component ID'].toString() : null;
+                const id = identifier.toString();
+            
+                return !(issueNo === id || storageNo === id || componentId === id);
+            });
+        
+            console.log('Removed old entries:', currentData.length - remainingData.length);
+        
+            if (headerData.type === 'issue' && status !== lifecycle.DRAFT) {
+                const stock = stockLedger.checkStock(remainingData, components.map(issueStockLine));
+                if (stock.blocked.length > 0) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `Not enough stock: ${stockLedger.describeShortfalls(stock.blocked)}`,
+                        shortfalls: stock.blocked
+                    });
                 }
-                
-                const newItem = {
-                    "Component ID": generateComponentId([...remainingData, ...newItems]),
-                    "Name": component.partDescription || "Issued Component",
-                    "Part No": component.partNo,
-                    "Part Description": component.partDescription,
-                    "Type": "Issued Component",
-                    "Status": "Pending",
-                    "Date": new Date().toISOString().split('T')[0],
-                    "Issued To": headerData.issueTo,
-                    "Issue No": headerData.issueNo,
-                    "Issue Date": component.issueDate || headerData.issueDate,
-                    "Request Text": headerData.requestText,
-                    "Issue For": headerData.issueFor,
-                    "System Manager": headerData.systemManager,
-                    "Serial No": component.serialNo,
-                    "S.No as per SO": component.snoSO,
-                    "Manufacturer": component.manufacturer,
-                    "Quality Grade": component.qualityGrade,
-                    "Sub System": component.subSystem,
-                    "Quantity Each": component.quantityEach,
-                    "Total Quantity": component.totalQuantity,
-                    "SO No": component.soNo,
-                    "SO PDF": pdfFileName,
-                    "Storage Temperature": component.storageTemp,
-                    "Submitted By": headerData.submittedBy
-                };
-                newItems.push(newItem);
-            }
-        } else {
-            // Storage components
-            for (const component of components) {
-                const newItem = {
-                    "Component ID": generateComponentId([...remainingData, ...newItems]),
-                    "Name": component.partDescription || "Stored Component",
-                    "Part No": component.partNo,
-                    "Part Description": component.partDescription,
-                    "Type": "Stored Component",
-                    "Status": "Pending",
-                    "Date": new Date().toISOString().split('T')[0],
-                    "Storage No": headerData.storageNo,
-                    "Storage Date": headerData.storageDate,
-                    "SO Number": headerData.soNumber,
-                    "System Manager": headerData.systemManager,
-                    "Serial No": component.serialNo,
-                    "S.No as per PO": component.snoPO,
-                    "Grade": component.grade,
-                    "Storage Quantity": component.quantity,
-                    "Storage Temperature": component.storageTemp,
-                    "Relative Humidity": component.relativeHumidity,
-                    "Storage Data": component.storageData,
-                    "Delivery Date": component.deliveryDate,
-                    "SO No": headerData.soNumber
-                };
-                newItems.push(newItem);
             }
-        }
         
-        const updatedData = [...remainingData, ...newItems];
-        const success = saveToExcelSync(updatedData);
+            // Add updated entries
+            const newItems = headerData.type === 'issue'
+                ? await createIssueItems(req, components, headerData, remainingData)
+                : createStorageItems(components, headerData, remainingData);
+            if (headerData.type === 'storage') {
+                traceability.checkReceipts(remainingData, newItems);
+            }
         
-        if (success) {
-            console.log('SUCCESS: Components updated');
-            res.json({ 
-                success: true, 
-                message: `Successfully updated ${newItems.length} component(s)`,
-                data: updatedData 
-            });
-        } else {
-            console.log('ERROR: Failed to save');
-            res.status(500).json({ error: "Failed to save updated data" });
-        }
+            const replacedItems = currentData.filter(item => !remainingData.includes(item));
+            const updatedData = [...remainingData, ...newItems];
+            const success = saveInventory(updatedData, auditEntry(req, 'update', replacedItems, newItems));
+        
+            if (success) {
+                console.log('SUCCESS: Components updated');
+                setRequestVersion(res, updatedData, headerData.type === 'issue' ? headerData.issueNo : headerData.storageNo);
+                res.json({ 
+                    success: true, 
+                    message: `Successfully updated ${newItems.length} component(s)`,
+                    data: updatedData.filter(item => access.canView(req.user.roles, item))
+                });
+            } else {
+                console.log('ERROR: Failed to save');
+                res.status(500).json({ error: "Failed to save updated data" });
+            }
+        });
     } catch (error) {
         console.error("Error updating component:", error);
-        res.status(500).json({ error: "Failed to update component: " + error.message });
+        res.status(error.status || 500).json({ error: "Failed to update component: " + error.message });
     }
 });
 
@@ -887,33 +3343,30 @@ app.put('/api/components/:identifier', async (req, res) => {
 // Get all archived files
 app.get('/api/archive/files', async (req, res) => {
     try {
-        await ensureUploadDir();
-        const files = await readdir(UPLOAD_DIR);
+        const files = await documents.listDocuments();
         
-        const fileDetails = await Promise.all(files.map(async (filename) => {
-            const filePath = path.join(UPLOAD_DIR, filename);
-            const stats = await fs.promises.stat(filePath);
-            
+        const fileDetails = files.map(file => {
             // Parse filename: timestamp_scientist_componentType_desc_description.ext
-const parts = filename.split('_');
-const scientist = parts[1] || 'Unknown';
-const componentType = parts[2] || 'unknown';
-const descIndex = parts.indexOf('desc');
-const description = descIndex > -1 ? 
-    parts.slice(descIndex + 1).join('_').split('.')[0].replace(/-/g, ' ') : 
-    'No description';
-
-return {
-    id: `FILE-${filename.split('-')[0]}`,
-    name: filename,
-    scientist: scientist.replace(/-/g, ' '),
-    componentType: componentType,
-    path: `/uploads/${filename}`,
-    size: stats.size,
-    uploadDate: stats.birthtime.toISOString(),
-    description: description
-};
-        }));
+            const parts = file.name.split('_');
+            const scientist = parts[1] || 'Unknown';
+            const componentType = parts[2] || 'unknown';
+            const descIndex = parts.indexOf('desc');
+            const description = descIndex > -1 ?
+                parts.slice(descIndex + 1).join('_').split('.')[0].replace(/-/g, ' ') :
+                'No description';
+            
+            return {
+                id: `FILE-${file.name.split('-')[0]}`,
+                name: file.name,
+                scientist: scientist.replace(/-/g, ' '),
+                componentType: componentType,
+                path: `/uploads/${encodeURIComponent(file.name)}`,
+                size: file.size,
+                uploadDate: file.uploadDate,
+                uploadedBy: file.owner,
+                description: description
+            };
+        });
         
         res.json(fileDetails);
     } catch (error) {
@@ -922,91 +3375,232 @@ return {
     }
 });
 
-// Upload file to archive
-app.post('/api/archive/upload', async (req, res) => {
+// Accepted upload types, size limit and the caller's quota usage
+app.get('/api/archive/limits', (req, res) => {
+    res.json({ extensions: documents.allowedExtensions(), ...documents.usageOf(req.user.name) });
+});
+
+// Upload file to archive (checked by content against the allowed document types)
+app.post('/api/archive/upload', requireRole('requester', 'storekeeper', 'systemManager'), async (req, res) => {
     try {
-        await ensureUploadDir();
-        
         if (!req.files || !req.files.file) {
             return res.status(400).json({ error: "No file uploaded" });
         }
         
         const file = req.files.file;
-const scientistName = req.body.scientistName || 'Unknown';
-const componentType = req.body.componentType || 'unknown';
-const description = req.body.description || '';
-const sanitizedScientist = scientistName.replace(/\s+/g, '-').replace(/[^a-zA-Z0-9-]/g, '');
-const sanitizedDescription = description.replace(/\s+/g, '-').replace(/[^a-zA-Z0-9-]/g, '');
-const fileExt = path.extname(file.name);
-const timestamp = Date.now();
-
-const newFileName = `${timestamp}_${sanitizedScientist}_${componentType}_desc_${sanitizedDescription}${fileExt}`;
-        const filePath = path.join(UPLOAD_DIR, newFileName);
-        
-        await file.mv(filePath);
+        const fields = req.body || {};
+        const scientistName = fields.scientistName || 'Unknown';
+        const componentType = fields.componentType || 'unknown';
+        const description = fields.description || '';
+        const sanitizedScientist = scientistName.replace(/\s+/g, '-').replace(/[^a-zA-Z0-9-]/g, '');
+        const sanitizedType = componentType.replace(/[^a-zA-Z0-9-]/g, '');
+        const sanitizedDescription = description.replace(/\s+/g, '-').replace(/[^a-zA-Z0-9-]/g, '');
+        const fileExt = path.extname(file.name).toLowerCase();
+        const timestamp = Date.now();
+        
+        const newFileName = `${timestamp}_${sanitizedScientist}_${sanitizedType}_desc_${sanitizedDescription}${fileExt}`;
+        const saved = await documents.saveDocument(file, newFileName, { owner: req.user.name });
+        console.log(`Archive upload by ${req.user.name}: ${newFileName} (${saved.type}, ${saved.size} bytes)`);
         
         res.json({ 
             success: true, 
             message: "File uploaded successfully",
             filename: newFileName,
             scientist: scientistName,
-            path: `/uploads/${newFileName}`
+            path: saved.path
         });
     } catch (error) {
-        console.error("Error uploading file:", error);
-        res.status(500).json({ error: "Failed to upload file" });
+        console.error("Error uploading file:", error.message);
+        res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to upload file" });
     }
 });
 
+// Who may change an archived file: the uploader, or any admin or system manager.
+// Files still linked from a request (SO PDFs) stay put.
+function documentChangeOptions(req) {
+    return {
+        user: req.user.name,
+        manager: req.user.role === 'admin' || access.hasRole(req.user.roles, 'systemManager'),
+        referencedBy: name => {
+            const links = [`/uploads/${name}`, `/uploads/${encodeURIComponent(name)}`];
+            const item = loadInventory().find(row => links.includes(row['SO PDF']));
+            return item ? item['Issue No'] || item['Storage No'] || item['Component ID'] : null;
+        }
+    };
+}
+
 // Delete file from archive
-app.delete('/api/archive/files/:filename', async (req, res) => {
+app.delete('/api/archive/files/:filename', requireRole('requester', 'storekeeper', 'systemManager'), async (req, res) => {
     try {
-        const filename = req.params.filename;
-        const filePath = path.join(UPLOAD_DIR, filename);
-        
-        if (!fs.existsSync(filePath)) {
-            return res.status(404).json({ error: "File not found" });
-        }
-        
-        await unlink(filePath);
+        await documents.deleteDocument(req.params.filename, documentChangeOptions(req));
+        console.log(`Archive file ${req.params.filename} deleted by ${req.user.name}`);
         res.json({ success: true, message: "File deleted successfully" });
     } catch (error) {
-        console.error("Error deleting file:", error);
-        res.status(500).json({ error: "Failed to delete file" });
+        console.error("Error deleting file:", error.message);
+        res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to delete file" });
     }
 });
 
 // Rename file in archive
-app.post('/api/archive/rename', async (req, res) => {
+app.post('/api/archive/rename', requireRole('requester', 'storekeeper', 'systemManager'), async (req, res) => {
     try {
-        const { oldName, newName } = req.body;
-        const oldPath = path.join(UPLOAD_DIR, oldName);
-        const newPath = path.join(UPLOAD_DIR, newName);
-        
-        if (!fs.existsSync(oldPath)) {
-            return res.status(404).json({ error: "File not found" });
-        }
-        
-        if (fs.existsSync(newPath)) {
-            return res.status(400).json({ error: "A file with that name already exists" });
-        }
-        
-        await fs.promises.rename(oldPath, newPath);
+        const { oldName, newName } = req.body || {};
+        await documents.renameDocument(oldName, newName, documentChangeOptions(req));
+        console.log(`Archive file ${oldName} renamed to ${newName} by ${req.user.name}`);
         res.json({ success: true, message: "File renamed successfully" });
     } catch (error) {
-        console.error("Error renaming file:", error);
-        res.status(500).json({ error: "Failed to rename file" });
+        console.error("Error renaming file:", error.message);
+        res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to rename file" });
     }
 });
 
+// Value following a command line flag, e.g. --restore-backup <name>
+function getCliOption(flag) {
+    const index = process.argv.indexOf(flag);
+    return index > -1 ? process.argv[index + 1] || null : null;
+}
+
+// Replace a corrupt database file with a snapshot (node server.js --restore-backup <name|latest>)
+function restoreDatabaseFile(name) {
+    const snapshot = name === 'latest' ? backups.latestGoodSnapshot() : { name };
+    if (!snapshot) {
+        throw new Error(`No good snapshot found in ${BACKUP_DIR}/`);
+    }
+
+    const file = backups.snapshotPath(snapshot.name);
+    if (!store.isHealthyDatabase(file)) {
+        throw new Error(`Snapshot ${snapshot.name} is missing or corrupt`);
+    }
+
+    if (fs.existsSync(DB_FILE)) {
+        const corruptFile = `${DB_FILE}.corrupt-${Date.now()}`;
+        fs.renameSync(DB_FILE, corruptFile);
+        console.log(`✓ Moved ${DB_FILE} aside as ${corruptFile}`);
+    }
+    fs.rmSync(`${DB_FILE}-wal`, { force: true });
+    fs.rmSync(`${DB_FILE}-shm`, { force: true });
+    fs.copyFileSync(file, DB_FILE);
+    console.log(`✓ Restored ${DB_FILE} from ${snapshot.name}`);
+    return snapshot.name;
+}
+
+// Open the inventory database, importing inventory.xlsx the first time.
+// Refuses to start on a corrupt database and points at the latest good snapshot.
+function initializeInventoryStore() {
+    backups.configureBackups({ dir: BACKUP_DIR, keepLast: BACKUP_KEEP_LAST, keepDays: BACKUP_KEEP_DAYS });
+
+    const restoreName = getCliOption('--restore-backup');
+    const restored = restoreName ? restoreDatabaseFile(restoreName) : null;
+
+    if (fs.existsSync(DB_FILE) && !store.isHealthyDatabase(DB_FILE)) {
+        const snapshot = backups.latestGoodSnapshot();
+        const hint = snapshot
+            ? `Latest good snapshot: ${snapshot.name} (${snapshot.createdAt})\n` +
+              `Restore it with: node server.js --restore-backup ${snapshot.name}`
+            : `No good snapshot found in ${BACKUP_DIR}/`;
+        throw new Error(`Inventory database ${DB_FILE} failed its integrity check; refusing to start.\n${hint}`);
+    }
+
+    store.openStore(DB_FILE);
+
+    if (restored) {
+        store.appendAudit(buildAuditEntry('console', `node server.js --restore-backup ${restored}`, 'restore', [], []));
+    }
+
+    const result = store.migrateFromWorkbook(EXCEL_FILE, generateComponentId);
+    if (result.migrated) {
+        const backupFile = EXCEL_FILE.replace(/\.xlsx$/, '.pre-migration.xlsx');
+        fs.copyFileSync(EXCEL_FILE, backupFile);
+        console.log(`✓ Imported ${result.count} row(s) from ${EXCEL_FILE} (original kept as ${backupFile})`);
+    }
+
+    store.exportWorkbook(EXCEL_FILE);
+}
+
+// Approval signatures used to be kept in the rows as data URLs. Move any that
+// are left into the signature store, so rows only reference them. A value that
+// isn't a PNG data URL is left as it was.
+async function migrateSignatures() {
+    const data = loadInventory();
+    const before = [];
+    const after = [];
+    const isInline = value => typeof value === 'string' && value.startsWith('data:');
+    const move = (item, value) => storeSignature(value, 'Approver', { allowBlank: true }).catch(error => {
+        console.log(`! Signature of ${item['Component ID']} kept in the row: ${error.message}`);
+        return null;
+    });
+
+    for (const item of data) {
+        const approvals = Array.isArray(item['Approvals']) ? [...item['Approvals']] : [];
+        if (!isInline(item['Approval Signature']) && !approvals.some(approval => isInline(approval.signature))) continue;
+
+        const original = { ...item };
+        let changed = false;
+        if (isInline(item['Approval Signature'])) {
+            const signature = await move(item, item['Approval Signature']);
+            if (signature) {
+                item['Approval Signature'] = signature.path;
+                item['Approval Signature SHA-256'] = signature.sha256;
+                changed = true;
+            }
+        }
+        for (const [index, approval] of approvals.entries()) {
+            const signature = isInline(approval.signature) ? await move(item, approval.signature) : null;
+            if (signature) {
+                approvals[index] = { ...approval, signature: signature.path, signatureSha256: signature.sha256 };
+                item['Approvals'] = approvals;
+                changed = true;
+            }
+        }
+        if (changed) {
+            before.push(original);
+            after.push(item);
+        }
+    }
+
+    if (after.length > 0 && saveInventory(data, buildAuditEntry('console', 'server start-up', 'migrate-signatures', before, after))) {
+        console.log(`✓ Moved the signatures of ${after.length} row(s) to ${SIGNATURE_DIR}/`);
+    }
+}
+
 // Initialize server
 async function startServer() {
     await ensureUploadDir();
     await initializeUsersFiles();
+    initializeInventoryStore();
+    sessions.configureSessions({ secretFile: SESSION_SECRET_FILE, ttlMs: SESSION_TTL_HOURS * 60 * 60 * 1000 });
+    invitations.configureInvitations({ file: ADMIN_INVITES_FILE });
+    delegations.configureDelegations({ file: DELEGATIONS_FILE, maxDays: DELEGATION_MAX_DAYS });
+    ageing.configureAgeing({ overdueDays: PENDING_OVERDUE_DAYS, escalateDays: PENDING_ESCALATE_DAYS });
+    locations.configureLocations({ file: LOCATIONS_FILE });
+    console.log(`✓ Approval chains: ${approvalChains.configureApprovalChains({ file: APPROVAL_CHAINS_FILE })}`);
+    documents.configureDocuments({
+        dir: UPLOAD_DIR,
+        maxFileBytes: MAX_UPLOAD_MB * 1024 * 1024,
+        quotaBytes: UPLOAD_QUOTA_MB * 1024 * 1024
+    });
+    signatures.configureSignatures({ dir: SIGNATURE_DIR });
+    await migrateSignatures();
+    loginThrottle.configureLoginThrottle({
+        lockAfterFailures: LOGIN_LOCK_AFTER_FAILURES,
+        lockMs: LOGIN_LOCK_MINUTES * 60 * 1000
+    });
+    
+    // Bootstrap: with no admin accounts yet, the first one is created with a setup token
+    const admins = await loadUsers(true);
+    if (admins.length === 0) {
+        const setupToken = invitations.createSetupToken();
+        console.log('\n!!! No admin accounts exist yet.');
+        console.log('!!! Create the first admin on login_admin.html (Sign Up) with this setup token');
+        console.log(`!!! as the invitation code: ${setupToken}`);
+        console.log('!!! The token works once and only until the server restarts.\n');
+    }
     
     app.listen(PORT, () => {
         console.log(`✓ Server running on http://localhost:${PORT}`);
-        console.log(`✓ Excel file: ${EXCEL_FILE}`);
+        console.log(`✓ Inventory database: ${DB_FILE}`);
+        console.log(`✓ Excel export: ${EXCEL_FILE}`);
+        console.log(`✓ Backups: ${BACKUP_DIR}/`);
         console.log(`✓ User database: ${USERS_FILE}`);
         console.log(`✓ Admin database: ${ADMIN_USERS_FILE}`);
         console.log(`\nAPI Endpoints ready!`);
@@ -1014,6 +3608,6 @@ async function startServer() {
 }
 
 startServer().catch(err => {
-    console.error("Failed to start server:", err);
+    console.error("Failed to start server:", err.message || err);
     process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const store = require('./store');
+
+// Signed, expiring session tokens.
+// A token is base64url(payload JSON) + '.' + base64url(HMAC-SHA256 of that part),
+// with payload { sid, uid, name, role, roles, mustChangePassword, iat, exp }. Tokens are
+// checked without any server-side session table; logged-out session ids are kept in
+// revoked_sessions until the token would have expired anyway, and all sessions of
+// an account can be ended at once (disable, password reset, role change).
+
+const settings = {
+    secretFile: 'session_secret.key',
+    ttlMs: 8 * 60 * 60 * 1000
+};
+
+let secret = null;
+
+function configureSessions(options = {}) {
+    Object.assign(settings, options);
+    secret = null;
+}
+
+// Signing key: SESSION_SECRET from the environment, else a random key kept in
+// secretFile (created on first start, readable by the server account only)
+function getSecret() {
+    if (secret) return secret;
+
+    if (process.env.SESSION_SECRET) {
+        secret = Buffer.from(process.env.SESSION_SECRET);
+    } else {
+        if (!fs.existsSync(settings.secretFile)) {
+            fs.writeFileSync(settings.secretFile, crypto.randomBytes(32).toString('hex'), { mode: 0o600, flag: 'wx' });
+            console.log(`✓ Created session signing key ${settings.secretFile}`);
+        }
+        secret = Buffer.from(fs.readFileSync(settings.secretFile, 'utf8').trim());
+    }
+
+    return secret;
+}
+
+function sign(data) {
+    return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+// Issue a token for a logged-in user; returns { token, expiresAt }
+function issueToken(user) {
+    // Always later than a revocation of the account's sessions in the same millisecond
+    const now = Math.max(Date.now(), store.userSessionCutoff(user.id) + 1);
+    const payload = {
+        sid: crypto.randomUUID(),
+        uid: user.id,
+        name: user.name,
+        role: user.role,
+        roles: user.roles,
+        mustChangePassword: Boolean(user.mustChangePassword),
+        iat: now,
+        exp: now + settings.ttlMs
+    };
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    return {
+        token: `${data}.${sign(data)}`,
+        expiresAt: new Date(payload.exp).toISOString()
+    };
+}
+
+// Check a token's signature, expiry and revocation; returns its payload or null
+function verifyToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const [data, signature, extra] = token.split('.');
+    if (!data || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(data));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    if (!payload || typeof payload.exp !== 'number' || payload.exp <= Date.now()) return null;
+    if (store.isSessionRevoked(payload.sid)) return null;
+    if (payload.iat <= store.userSessionCutoff(payload.uid)) return null;
+
+    return payload;
+}
+
+// End a session before its token expires (logout)
+function revokeToken(payload) {
+    store.revokeSession(payload.sid, payload.exp);
+}
+
+// End every active session of an account
+function revokeUser(userId) {
+    store.revokeUserSessions(userId, Date.now());
+}
+
+module.exports = {
+    configureSessions,
+    issueToken,
+    verifyToken,
+    revokeToken,
+    revokeUser
+};
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+// Signature images drawn on the request and approval forms.
+// The pages send the canvas as a PNG data URL. It is decoded, checked that
+// something was actually drawn on it, and stored under signatures/ as
+// <sha256>.png, so records only keep a reference and the hash of the image.
+// Functions throw an Error with an HTTP `status` when a signature is refused.
+
+const settings = {
+    dir: 'signatures',
+    maxBytes: 512 * 1024,
+    // Largest canvas accepted, so a small PNG can't claim a huge image to decode
+    maxWidth: 2000,
+    maxHeight: 1000,
+    // Pixels that must differ from the background for the canvas to count as signed
+    minInkPixels: 20
+};
+
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const DATA_URL_PREFIX = 'data:image/png;base64,';
+// Bytes per pixel of the 8-bit PNG colour types: grey, RGB, grey + alpha, RGBA
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+function configureSignatures(options = {}) {
+    Object.assign(settings, options);
+}
+
+function signatureError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Decode a PNG into { width, height, channels, pixels }. Only what a canvas
+// produces is supported: 8-bit grey, RGB or RGBA without interlacing, up to
+// settings.maxWidth x settings.maxHeight.
+function decodePng(data) {
+    if (!data.subarray(0, 8).equals(PNG_MAGIC)) {
+        throw signatureError("Signature is not a PNG image", 400);
+    }
+
+    let header = null;
+    const idat = [];
+    for (let offset = 8; offset + 8 <= data.length;) {
+        const length = data.readUInt32BE(offset);
+        const type = data.toString('latin1', offset + 4, offset + 8);
+        const body = data.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            if (body.length < 13) break;
+            header = { width: body.readUInt32BE(0), height: body.readUInt32BE(4), depth: body[8], colorType: body[9], interlace: body[12] };
+        }
+        if (type === 'IDAT') idat.push(body);
+        if (type === 'IEND') break;
+        offset += 12 + length;
+    }
+
+    if (!header || header.depth !== 8 || !CHANNELS[header.colorType] || header.interlace !== 0) {
+        throw signatureError("Signature must be an 8-bit, non-interlaced PNG", 400);
+    }
+    if (header.width === 0 || header.height === 0 || header.width > settings.maxWidth || header.height > settings.maxHeight) {
+        throw signatureError(`Signature image must be at most ${settings.maxWidth} x ${settings.maxHeight} pixels`, 400);
+    }
+
+    const channels = CHANNELS[header.colorType];
+    const stride = header.width * channels;
+    let raw;
+    try {
+        // Each row is one filter byte plus its pixels; anything longer is refused
+        raw = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: (stride + 1) * header.height });
+    } catch (error) {
+        throw signatureError("Signature image is damaged", 400);
+    }
+    if (raw.length < (stride + 1) * header.height) {
+        throw signatureError("Signature image is damaged", 400);
+    }
+
+    // Undo the per-row filters (None, Sub, Up, Average, Paeth)
+    const pixels = Buffer.alloc(stride * header.height);
+    for (let y = 0; y < header.height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const row = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const out = y * stride;
+        for (let x = 0; x < stride; x++) {
+            const left = x >= channels ? pixels[out + x - channels] : 0;
+            const up = y > 0 ? pixels[out - stride + x] : 0;
+            const upLeft = y > 0 && x >= channels ? pixels[out - stride + x - channels] : 0;
+            let predictor = 0;
+            if (filter === 1) predictor = left;
+            if (filter === 2) predictor = up;
+            if (filter === 3) predictor = (left + up) >> 1;
+            if (filter === 4) {
+                const estimate = left + up - upLeft;
+                const [a, b, c] = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+                predictor = a <= b && a <= c ? left : b <= c ? up : upLeft;
+            }
+            pixels[out + x] = (row[x] + predictor) & 0xFF;
+        }
+    }
+
+    return { width: header.width, height: header.height, channels, pixels };
+}
+
+// Number of pixels that differ from the background (the top-left pixel)
+function inkPixels(image) {
+    const { channels, pixels } = image;
+    const background = pixels.subarray(0, channels);
+    let count = 0;
+    for (let offset = 0; offset < pixels.length; offset += channels) {
+        if (!pixels.subarray(offset, offset + channels).equals(background)) count++;
+    }
+    return count;
+}
+
+// Decode a signature PNG; anything that fails to decode is refused with 400
+function decodeSignature(data, who) {
+    try {
+        return decodePng(data);
+    } catch (error) {
+        if (error.status) throw error;
+        throw signatureError(`${who} signature is not a valid signature image`, 400);
+    }
+}
+
+// Check a canvas data URL and return the PNG bytes; blank canvases are refused
+// unless options.allowBlank (for signatures recorded before they were checked)
+function parseSignature(dataUrl, who, options = {}) {
+    if (typeof dataUrl !== 'string' || !dataUrl.startsWith(DATA_URL_PREFIX)) {
+        throw signatureError(`${who} signature is required`, 400);
+    }
+
+    const data = Buffer.from(dataUrl.slice(DATA_URL_PREFIX.length), 'base64');
+    if (data.length > settings.maxBytes) {
+        throw signatureError(`${who} signature is larger than ${Math.round(settings.maxBytes / 1024)} KB`, 413);
+    }
+    if (!options.allowBlank && inkPixels(decodeSignature(data, who)) < settings.minInkPixels) {
+        throw signatureError(`${who} signature is blank; sign on the canvas first`, 400);
+    }
+    return data;
+}
+
+// Store a signature and return the reference kept on the record:
+// { file, sha256 }. The same image is stored once.
+async function saveSignature(dataUrl, who, options = {}) {
+    const data = parseSignature(dataUrl, who, options);
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+    const file = `${sha256}.png`;
+
+    await fs.promises.mkdir(settings.dir, { recursive: true });
+    await fs.promises.writeFile(path.join(settings.dir, file), data, { flag: 'wx' }).catch(error => {
+        if (error.code !== 'EEXIST') throw error;
+    });
+    return { file, sha256 };
+}
+
+// Path of a stored signature, checked against its hash so a changed file is not served
+async function signaturePath(file) {
+    const match = typeof file === 'string' && file.match(/^([0-9a-f]{64})\.png$/);
+    if (!match) {
+        throw signatureError(`Invalid signature name: ${file}`, 400);
+    }
+
+    const target = path.join(settings.dir, file);
+    const data = await fs.promises.readFile(target).catch(() => null);
+    if (!data) {
+        throw signatureError("Signature not found", 404);
+    }
+    if (crypto.createHash('sha256').update(data).digest('hex') !== match[1]) {
+        throw signatureError(`Signature ${file} does not match its hash`, 409);
+    }
+    return path.resolve(target);
+}
+
+module.exports = {
+    configureSignatures,
+    decodePng,
+    inkPixels,
+    parseSignature,
+    saveSignature,
+    signaturePath
+};
@@ -0,0 +1,170 @@
+const lifecycle = require('./lifecycle');
+
+// Per-part stock ledger, derived from the inventory rows.
+// Approved storage receipts add to a part's balance and approved issues take
+// from it; submitted issues reserve stock until they are approved or rejected,
+// and submitted receipts are shown as incoming. Drafts, cancelled and rejected
+// requests don't count. Serviceable returns go back into
+// stock; unserviceable and scrapped returns are only counted. Parts are keyed by
+// Part No (case and surrounding spaces ignored), or the description for old rows
+// without one.
+
+const RETURN_CONDITIONS = ['Serviceable', 'Unserviceable', 'Scrapped'];
+
+function text(value) {
+    return value === undefined || value === null ? '' : value.toString().trim();
+}
+
+function partKey(item) {
+    return (text(item['Part No']) || text(item['Part Description']) || text(item['Name']) || 'Unknown').toUpperCase();
+}
+
+// Units a row moves: the quantity returned, a cut Approved Quantity, else the quantity asked for
+function quantityOf(item) {
+    const value = item['Return Quantity'] !== undefined ? item['Return Quantity']
+        : item['Approved Quantity'] !== undefined ? item['Approved Quantity']
+        : item['Total Quantity'] !== undefined ? item['Total Quantity'] : item['Storage Quantity'];
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : 0;
+}
+
+function isReturn(item) {
+    return text(item.Type).toLowerCase().includes('returned');
+}
+
+// How a row counts in the ledger: receipt, incoming, issue, reserved, return
+// (serviceable), unserviceable, scrapped, or null (draft, cancelled, rejected)
+function entryKind(item) {
+    if (isReturn(item)) {
+        const condition = text(item['Condition']).toLowerCase();
+        return condition === 'serviceable' ? 'return' : condition || 'unserviceable';
+    }
+    const state = lifecycle.stateOf(item);
+    if ([lifecycle.DRAFT, lifecycle.CANCELLED, lifecycle.REJECTED].includes(state)) return null;
+    const stored = text(item.Type).toLowerCase().includes('stored');
+    if (state === lifecycle.SUBMITTED || state === lifecycle.RETURNED_FOR_CLARIFICATION) return stored ? 'incoming' : 'reserved';
+    return stored ? 'receipt' : 'issue';
+}
+
+function entryDate(item) {
+    return text(item['Return Date'] || item['Approval Date'] || item['Issue Date'] || item['Storage Date'] || item['Date']);
+}
+
+// Build the ledger: Map of part key -> { partNo, description, received, issued,
+// reserved, incoming, returned, unserviceable, scrapped, available, free, entries }.
+// available is what is on the shelf (received + returned - issued), free what is
+// left after pending issues.
+function buildLedger(data) {
+    const parts = new Map();
+
+    for (const item of data) {
+        const kind = entryKind(item);
+        if (!kind) continue;
+
+        const key = partKey(item);
+        if (!parts.has(key)) {
+            parts.set(key, {
+                partNo: text(item['Part No']) || key,
+                description: text(item['Part Description']) || text(item['Name']),
+                received: 0,
+                issued: 0,
+                reserved: 0,
+                incoming: 0,
+                returned: 0,
+                unserviceable: 0,
+                scrapped: 0,
+                entries: []
+            });
+        }
+
+        const part = parts.get(key);
+        const quantity = quantityOf(item);
+        if (kind === 'receipt') part.received += quantity;
+        if (kind === 'issue') part.issued += quantity;
+        if (kind === 'reserved') part.reserved += quantity;
+        if (kind === 'incoming') part.incoming += quantity;
+        if (kind === 'return') part.returned += quantity;
+        if (kind === 'unserviceable') part.unserviceable += quantity;
+        if (kind === 'scrapped') part.scrapped += quantity;
+        part.entries.push({ kind, quantity, date: entryDate(item), item });
+    }
+
+    for (const part of parts.values()) {
+        part.available = part.received + part.returned - part.issued;
+        part.free = part.available - part.reserved;
+        part.entries.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    return parts;
+}
+
+// Check rows that are about to be issued (new lines, or lines about to be
+// approved) against the ledger of `data` without them. Returns
+// { blocked, warnings }: blocked lists parts asking for more than is on the
+// shelf, warnings parts that only fit if other pending issues are refused.
+function checkStock(data, items) {
+    const checkedIds = new Set(items.map(item => text(item['Component ID'])).filter(Boolean));
+    const ledger = buildLedger(data.filter(item => !checkedIds.has(text(item['Component ID']))));
+
+    const needs = new Map();
+    for (const item of items) {
+        const key = partKey(item);
+        const need = needs.get(key) || { partNo: text(item['Part No']) || key, requested: 0 };
+        need.requested += quantityOf(item);
+        needs.set(key, need);
+    }
+
+    const blocked = [];
+    const warnings = [];
+    for (const [key, need] of needs) {
+        const part = ledger.get(key);
+        const available = part ? part.available : 0;
+        const reserved = part ? part.reserved : 0;
+        const shortfall = { partNo: part ? part.partNo : need.partNo, requested: need.requested, available, reserved };
+
+        if (need.requested > available) blocked.push(shortfall);
+        else if (need.requested > available - reserved) warnings.push(shortfall);
+    }
+
+    return { blocked, warnings };
+}
+
+// Check receipts about to stop counting (a cancelled storage receipt). Returns the
+// parts whose stock has already been used: [{ partNo, withdrawn, available }],
+// where taking `withdrawn` out would leave less than nothing on the shelf.
+function checkWithdrawal(data, items) {
+    const ledger = buildLedger(data);
+    const withdrawn = new Map();
+    for (const item of items) {
+        if (entryKind(item) !== 'receipt') continue;
+        const key = partKey(item);
+        withdrawn.set(key, (withdrawn.get(key) || 0) + quantityOf(item));
+    }
+
+    const used = [];
+    for (const [key, quantity] of withdrawn) {
+        const part = ledger.get(key);
+        if (part && part.available < quantity) {
+            used.push({ partNo: part.partNo, withdrawn: quantity, available: part.available });
+        }
+    }
+    return used;
+}
+
+// One sentence per shortfall, for error messages
+function describeShortfalls(shortfalls) {
+    return shortfalls.map(({ partNo, requested, available, reserved }) =>
+        `${partNo}: ${requested} requested, ${available} in stock` + (reserved ? ` (${reserved} reserved by pending requests)` : '')
+    ).join('; ');
+}
+
+module.exports = {
+    RETURN_CONDITIONS,
+    partKey,
+    entryKind,
+    quantityOf,
+    buildLedger,
+    checkStock,
+    checkWithdrawal,
+    describeShortfalls
+};
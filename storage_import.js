@@ -0,0 +1,182 @@
+const xlsx = require('xlsx');
+const path = require('path');
+
+// Parsing and validation of storage receipt spreadsheets (.xlsx / .xls / .csv).
+// The sheet is laid out like the storage table in user_update.html; each data
+// row becomes a component object in the shape /api/storage accepts.
+
+const ALLOWED_EXTENSIONS = ['.xlsx', '.xls', '.csv'];
+
+// Accepted column headings (compared case-insensitively, ignoring spaces and dots)
+const COLUMNS = {
+    serialNo: ['S.No', 'S.No.', 'Serial No'],
+    snoPO: ['S.No as PO', 'S.No as per PO', 'SNo as PO'],
+    partNo: ['Part No', 'Part Number'],
+    partDescription: ['Part Description', 'Description'],
+    grade: ['Grade', 'Quality Grade'],
+    quantity: ['Quantity', 'Storage Quantity', 'Qty'],
+    storageTemp: ['Storage Temperature', 'Temperature', 'Storage Temp'],
+    relativeHumidity: ['Relative Humidity', 'RH', 'Humidity'],
+    storageData: ['Storage date', 'Storage data'],
+    deliveryDate: ['Delivery date as per PO', 'Delivery date', 'Delivery Date as PO'],
+    location: ['Location', 'Location Code', 'Bin'],
+    lotNo: ['Lot No', 'Lot', 'Batch No'],
+    serials: ['Serial Numbers', 'Unit Serials', 'Serials']
+};
+
+const REQUIRED_COLUMNS = ['partNo', 'quantity'];
+
+function normalizeHeading(heading) {
+    return heading.toString().toLowerCase().replace(/[\s.]/g, '');
+}
+
+const HEADING_LOOKUP = new Map(
+    Object.entries(COLUMNS).flatMap(([field, headings]) =>
+        headings.map(heading => [normalizeHeading(heading), field])
+    )
+);
+
+function pad(value) {
+    return value.toString().padStart(2, '0');
+}
+
+// Normalize a date cell to YYYY-MM-DD; returns undefined if it is not a date
+function toIsoDate(value) {
+    if (value instanceof Date && !isNaN(value)) {
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+
+    const text = value.toString().trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    let year, month, day;
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    } else if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/))) {
+        // Day first, as written on our receipts (DD-MM-YYYY)
+        [, day, month, year] = match.map(Number);
+    } else {
+        return undefined;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return undefined;
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value.toString().trim() === '';
+}
+
+// Read the first sheet of an uploaded file into component rows.
+// Returns { components, errors }; each component carries the sheet row number in `row`.
+function parseStorageSheet(buffer, fileName) {
+    const errors = [];
+    const extension = path.extname(fileName || '').toLowerCase();
+
+    if (!ALLOWED_EXTENSIONS.includes(extension)) {
+        errors.push({ row: null, field: 'file', message: `Unsupported file type "${extension}". Use .xlsx, .xls or .csv` });
+        return { components: [], errors };
+    }
+
+    let sheetRows;
+    try {
+        const wb = xlsx.read(buffer, { type: 'buffer', cellDates: true, raw: extension === '.csv' });
+        const ws = wb.Sheets[wb.SheetNames[0]];
+        sheetRows = ws ? xlsx.utils.sheet_to_json(ws, { header: 1, defval: '', blankrows: true }) : [];
+    } catch (error) {
+        errors.push({ row: null, field: 'file', message: `Could not read spreadsheet: ${error.message}` });
+        return { components: [], errors };
+    }
+
+    const headerIndex = sheetRows.findIndex(row => row.some(cell => HEADING_LOOKUP.get(normalizeHeading(cell)) === 'partNo'));
+    if (headerIndex === -1) {
+        errors.push({ row: null, field: 'file', message: 'No header row with a "Part No" column was found' });
+        return { components: [], errors };
+    }
+
+    const fieldByColumn = sheetRows[headerIndex].map(cell => HEADING_LOOKUP.get(normalizeHeading(cell)) || null);
+    for (const field of REQUIRED_COLUMNS) {
+        if (!fieldByColumn.includes(field)) {
+            errors.push({ row: headerIndex + 1, field, message: `Missing required column "${COLUMNS[field][0]}"` });
+        }
+    }
+    if (errors.length > 0) return { components: [], errors };
+
+    const components = [];
+    for (let i = headerIndex + 1; i < sheetRows.length; i++) {
+        const cells = sheetRows[i];
+        if (cells.every(isBlank)) continue;
+
+        const component = { row: i + 1 };
+        fieldByColumn.forEach((field, column) => {
+            if (field && !isBlank(cells[column])) component[field] = cells[column];
+        });
+        components.push(component);
+    }
+
+    if (components.length === 0) {
+        errors.push({ row: null, field: 'file', message: 'The spreadsheet has no data rows' });
+    }
+
+    return { components, errors };
+}
+
+// Validate and normalize parsed rows in place; returns a list of per-row errors
+function validateStorageRows(components) {
+    const errors = [];
+    const seen = new Map();
+
+    components.forEach((component, index) => {
+        const rowError = (field, message) => errors.push({ row: component.row, field, message });
+
+        component.serialNo = (index + 1).toString();
+
+        for (const field of ['snoPO', 'partNo', 'partDescription', 'grade', 'storageTemp', 'relativeHumidity', 'location', 'lotNo', 'serials']) {
+            if (component[field] !== undefined) component[field] = component[field].toString().trim();
+        }
+
+        if (isBlank(component.partNo)) {
+            rowError('partNo', 'Part No is required');
+        }
+
+        const quantity = Number(component.quantity);
+        if (isBlank(component.quantity)) {
+            rowError('quantity', 'Quantity is required');
+        } else if (!Number.isInteger(quantity) || quantity <= 0) {
+            rowError('quantity', `Quantity must be a whole number greater than 0 (got "${component.quantity}")`);
+        } else {
+            component.quantity = quantity.toString();
+        }
+
+        if (!isBlank(component.relativeHumidity)) {
+            const humidity = parseFloat(component.relativeHumidity);
+            if (!isNaN(humidity) && (humidity < 0 || humidity > 100)) {
+                rowError('relativeHumidity', `Relative Humidity must be between 0 and 100 (got "${component.relativeHumidity}")`);
+            }
+        }
+
+        for (const field of ['storageData', 'deliveryDate']) {
+            if (isBlank(component[field])) continue;
+            const date = toIsoDate(component[field]);
+            if (!date) {
+                rowError(field, `"${component[field]}" is not a valid date (use YYYY-MM-DD or DD-MM-YYYY)`);
+            } else {
+                component[field] = date;
+            }
+        }
+
+        const key = `${component.snoPO || ''}|${component.partNo || ''}`;
+        if (component.partNo && seen.has(key)) {
+            rowError('partNo', `Duplicate of row ${seen.get(key)} (same S.No as PO and Part No)`);
+        } else {
+            seen.set(key, component.row);
+        }
+    });
+
+    return errors;
+}
+
+module.exports = {
+    parseStorageSheet,
+    validateStorageRows
+};
@@ -0,0 +1,534 @@
+const { DatabaseSync } = require('node:sqlite');
+const xlsx = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+
+// Inventory store backed by an embedded SQLite database.
+// Each inventory row is kept as a JSON document keyed by its Component ID,
+// so a save only touches the rows that actually changed.
+
+let db = null;
+// How many transaction() calls are running, so nested ones join the outer one
+let transactionDepth = 0;
+
+// Open (or create) the database and make sure the schema exists
+function openStore(dbFile) {
+    db = new DatabaseSync(dbFile);
+    db.exec(`
+        PRAGMA journal_mode = WAL;
+        PRAGMA synchronous = FULL;
+        CREATE TABLE IF NOT EXISTS components (
+            seq INTEGER PRIMARY KEY AUTOINCREMENT,
+            component_id TEXT NOT NULL UNIQUE,
+            issue_no TEXT,
+            storage_no TEXT,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_components_issue_no ON components (issue_no);
+        CREATE INDEX IF NOT EXISTS idx_components_storage_no ON components (storage_no);
+        CREATE TABLE IF NOT EXISTS meta (
+            key TEXT PRIMARY KEY,
+            value TEXT
+        );
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            timestamp TEXT NOT NULL,
+            actor TEXT,
+            route TEXT,
+            action TEXT NOT NULL,
+            component_ids TEXT NOT NULL DEFAULT '[]',
+            ion_nos TEXT NOT NULL DEFAULT '[]',
+            before_data TEXT,
+            after_data TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log (timestamp);
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN
+            SELECT RAISE(ABORT, 'audit_log is append-only');
+        END;
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN
+            SELECT RAISE(ABORT, 'audit_log is append-only');
+        END;
+        CREATE TABLE IF NOT EXISTS revoked_sessions (
+            sid TEXT PRIMARY KEY,
+            expires_at INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS user_session_cutoffs (
+            user_id TEXT PRIMARY KEY,
+            revoked_before INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS login_failures (
+            key TEXT PRIMARY KEY,
+            failures INTEGER NOT NULL,
+            last_failure_at INTEGER NOT NULL,
+            locked_until INTEGER
+        );
+        CREATE TABLE IF NOT EXISTS login_attempts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            timestamp TEXT NOT NULL,
+            kind TEXT NOT NULL,
+            username TEXT,
+            ip TEXT,
+            success INTEGER NOT NULL,
+            reason TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_login_attempts_timestamp ON login_attempts (timestamp);
+        CREATE TABLE IF NOT EXISTS documents (
+            name TEXT PRIMARY KEY,
+            owner TEXT,
+            type TEXT NOT NULL,
+            size INTEGER NOT NULL,
+            uploaded_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_documents_owner ON documents (owner);
+    `);
+    return db;
+}
+
+function getDb() {
+    if (!db) throw new Error('Inventory store is not open');
+    return db;
+}
+
+// Run fn inside a single write transaction; rolls back if fn throws.
+// A transaction() inside another runs as part of the outer one.
+function transaction(fn) {
+    const database = getDb();
+    if (transactionDepth > 0) {
+        transactionDepth++;
+        try {
+            return fn();
+        } finally {
+            transactionDepth--;
+        }
+    }
+
+    database.exec('BEGIN IMMEDIATE');
+    transactionDepth++;
+    try {
+        const result = fn();
+        database.exec('COMMIT');
+        return result;
+    } catch (error) {
+        database.exec('ROLLBACK');
+        throw error;
+    } finally {
+        transactionDepth--;
+    }
+}
+
+function getMeta(key) {
+    const row = getDb().prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+}
+
+function setMeta(key, value) {
+    getDb().prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+        .run(key, value);
+}
+
+function toKey(value) {
+    return value === undefined || value === null || value === '' ? null : value.toString();
+}
+
+// Load every inventory row in insertion order
+function loadAll() {
+    return getDb().prepare('SELECT data FROM components ORDER BY seq').all()
+        .map(row => JSON.parse(row.data));
+}
+
+// Persist the given rows as the complete inventory.
+// Rows are matched by Component ID: new ones are inserted, changed ones
+// updated and rows missing from `items` deleted, all in one transaction.
+function saveAll(items) {
+    const database = getDb();
+
+    transaction(() => {
+        const existing = new Map(
+            database.prepare('SELECT component_id, data FROM components').all()
+                .map(row => [row.component_id, row.data])
+        );
+        const insert = database.prepare('INSERT INTO components (component_id, issue_no, storage_no, data) VALUES (?, ?, ?, ?)');
+        const update = database.prepare('UPDATE components SET issue_no = ?, storage_no = ?, data = ? WHERE component_id = ?');
+        const remove = database.prepare('DELETE FROM components WHERE component_id = ?');
+        const seen = new Set();
+
+        for (const item of items) {
+            const componentId = toKey(item['Component ID']);
+            if (!componentId) {
+                throw new Error('Cannot save an inventory row without a Component ID');
+            }
+            if (seen.has(componentId)) {
+                throw new Error(`Duplicate Component ID: ${componentId}`);
+            }
+            seen.add(componentId);
+
+            const json = JSON.stringify(item);
+            const issueNo = toKey(item['Issue No']);
+            const storageNo = toKey(item['Storage No']);
+
+            if (!existing.has(componentId)) {
+                insert.run(componentId, issueNo, storageNo, json);
+            } else if (existing.get(componentId) !== json) {
+                update.run(issueNo, storageNo, json, componentId);
+            }
+        }
+
+        for (const componentId of existing.keys()) {
+            if (!seen.has(componentId)) remove.run(componentId);
+        }
+    });
+}
+
+// Append an entry to the audit journal. Entries can never be changed or
+// removed afterwards (enforced by triggers on the table).
+function appendAudit(entry) {
+    const result = getDb().prepare(`
+        INSERT INTO audit_log (timestamp, actor, route, action, component_ids, ion_nos, before_data, after_data)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        entry.timestamp || new Date().toISOString(),
+        entry.actor || null,
+        entry.route || null,
+        entry.action,
+        JSON.stringify(entry.componentIds || []),
+        JSON.stringify(entry.ionNos || []),
+        entry.before === undefined ? null : JSON.stringify(entry.before),
+        entry.after === undefined ? null : JSON.stringify(entry.after)
+    );
+    return Number(result.lastInsertRowid);
+}
+
+// Query the audit journal, newest first.
+// Filters: user, from / to (YYYY-MM-DD, inclusive), ion, componentId, action, limit
+function queryAudit(filters = {}) {
+    const where = [];
+    const params = [];
+
+    if (filters.user) {
+        where.push('lower(actor) = lower(?)');
+        params.push(filters.user);
+    }
+    if (filters.from) {
+        where.push('substr(timestamp, 1, 10) >= ?');
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        where.push('substr(timestamp, 1, 10) <= ?');
+        params.push(filters.to);
+    }
+    if (filters.ion) {
+        where.push('EXISTS (SELECT 1 FROM json_each(ion_nos) WHERE value = ?)');
+        params.push(filters.ion.toString());
+    }
+    if (filters.componentId) {
+        where.push('EXISTS (SELECT 1 FROM json_each(component_ids) WHERE value = ?)');
+        params.push(filters.componentId.toString());
+    }
+    if (filters.action) {
+        where.push('action = ?');
+        params.push(filters.action);
+    }
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 200, 1), 1000);
+    const sql = `SELECT * FROM audit_log ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY id DESC LIMIT ${limit}`;
+
+    return getDb().prepare(sql).all(...params).map(row => ({
+        id: row.id,
+        timestamp: row.timestamp,
+        actor: row.actor,
+        route: row.route,
+        action: row.action,
+        componentIds: JSON.parse(row.component_ids),
+        ionNos: JSON.parse(row.ion_nos),
+        before: row.before_data === null ? null : JSON.parse(row.before_data),
+        after: row.after_data === null ? null : JSON.parse(row.after_data)
+    }));
+}
+
+// Remember a logged-out session until its token would have expired anyway
+function revokeSession(sid, expiresAt) {
+    const database = getDb();
+    database.prepare('DELETE FROM revoked_sessions WHERE expires_at < ?').run(Date.now());
+    database.prepare('INSERT OR IGNORE INTO revoked_sessions (sid, expires_at) VALUES (?, ?)').run(sid, expiresAt);
+}
+
+function isSessionRevoked(sid) {
+    return Boolean(getDb().prepare('SELECT 1 FROM revoked_sessions WHERE sid = ?').get(sid));
+}
+
+// End every session of a user issued up to `before` (ms timestamp)
+function revokeUserSessions(userId, before = Date.now()) {
+    getDb().prepare(`
+        INSERT INTO user_session_cutoffs (user_id, revoked_before) VALUES (?, ?)
+        ON CONFLICT(user_id) DO UPDATE SET revoked_before = max(revoked_before, excluded.revoked_before)
+    `).run(userId, before);
+}
+
+// Sessions of the user issued at or before this time are no longer valid (0 if none revoked)
+function userSessionCutoff(userId) {
+    const row = getDb().prepare('SELECT revoked_before FROM user_session_cutoffs WHERE user_id = ?').get(userId);
+    return row ? row.revoked_before : 0;
+}
+
+// Failed-login counter for a key such as "account:user:alice" or "ip:10.0.0.5", or null
+function getLoginFailures(key) {
+    const row = getDb().prepare('SELECT * FROM login_failures WHERE key = ?').get(key);
+    return row ? { failures: row.failures, lastFailureAt: row.last_failure_at, lockedUntil: row.locked_until } : null;
+}
+
+function setLoginFailures(key, { failures, lastFailureAt, lockedUntil = null }) {
+    getDb().prepare(`
+        INSERT INTO login_failures (key, failures, last_failure_at, locked_until) VALUES (?, ?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET failures = excluded.failures,
+            last_failure_at = excluded.last_failure_at, locked_until = excluded.locked_until
+    `).run(key, failures, lastFailureAt, lockedUntil);
+}
+
+function clearLoginFailures(key) {
+    getDb().prepare('DELETE FROM login_failures WHERE key = ?').run(key);
+}
+
+// Record one login attempt (successful or not) in the login log
+function appendLoginAttempt(entry) {
+    getDb().prepare(`
+        INSERT INTO login_attempts (timestamp, kind, username, ip, success, reason)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+        entry.timestamp || new Date().toISOString(),
+        entry.kind,
+        entry.username || null,
+        entry.ip || null,
+        entry.success ? 1 : 0,
+        entry.reason || null
+    );
+}
+
+// Query the login log, newest first.
+// Filters: username, ip, kind (user / admin), success (true / false), from / to (YYYY-MM-DD), limit
+function queryLoginAttempts(filters = {}) {
+    const where = [];
+    const params = [];
+
+    if (filters.username) {
+        where.push('lower(username) = lower(?)');
+        params.push(filters.username);
+    }
+    if (filters.ip) {
+        where.push('ip = ?');
+        params.push(filters.ip);
+    }
+    if (filters.kind) {
+        where.push('kind = ?');
+        params.push(filters.kind);
+    }
+    if (filters.success === 'true' || filters.success === 'false') {
+        where.push('success = ?');
+        params.push(filters.success === 'true' ? 1 : 0);
+    }
+    if (filters.from) {
+        where.push('substr(timestamp, 1, 10) >= ?');
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        where.push('substr(timestamp, 1, 10) <= ?');
+        params.push(filters.to);
+    }
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 200, 1), 1000);
+    const sql = `SELECT * FROM login_attempts ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY id DESC LIMIT ${limit}`;
+
+    return getDb().prepare(sql).all(...params).map(row => ({
+        id: row.id,
+        timestamp: row.timestamp,
+        kind: row.kind,
+        username: row.username,
+        ip: row.ip,
+        success: Boolean(row.success),
+        reason: row.reason
+    }));
+}
+
+// Record a file saved in the document store
+function addDocument(doc) {
+    getDb().prepare('INSERT OR REPLACE INTO documents (name, owner, type, size, uploaded_at) VALUES (?, ?, ?, ?, ?)')
+        .run(doc.name, doc.owner || null, doc.type, doc.size, doc.uploadedAt || new Date().toISOString());
+}
+
+// Stored document records by file name
+function listDocuments() {
+    const documents = new Map();
+    for (const row of getDb().prepare('SELECT * FROM documents').all()) {
+        documents.set(row.name, { name: row.name, owner: row.owner, type: row.type, size: row.size, uploadedAt: row.uploaded_at });
+    }
+    return documents;
+}
+
+function renameDocument(oldName, newName) {
+    getDb().prepare('UPDATE documents SET name = ? WHERE name = ?').run(newName, oldName);
+}
+
+function removeDocument(name) {
+    getDb().prepare('DELETE FROM documents WHERE name = ?').run(name);
+}
+
+// Bytes of stored documents uploaded by a user
+function documentUsage(owner) {
+    return getDb().prepare('SELECT coalesce(sum(size), 0) AS total FROM documents WHERE owner = ?').get(owner).total;
+}
+
+// Copy the whole database into a standalone snapshot file
+function snapshotTo(file) {
+    getDb().prepare('VACUUM INTO ?').run(file);
+}
+
+// Replace the inventory rows with those from a snapshot file. The audit
+// journal is left untouched; buildAudit(beforeRows, afterRows) may return
+// an entry that is journalled in the same transaction as the restore.
+function restoreComponentsFrom(file, buildAudit) {
+    const database = getDb();
+    database.prepare('ATTACH DATABASE ? AS snapshot').run(file);
+
+    try {
+        return transaction(() => {
+            const before = loadAll();
+            database.exec('DELETE FROM components');
+            database.exec(`
+                INSERT INTO components (seq, component_id, issue_no, storage_no, data)
+                SELECT seq, component_id, issue_no, storage_no, data FROM snapshot.components
+            `);
+            const after = loadAll();
+
+            if (buildAudit) appendAudit(buildAudit(before, after));
+            return after.length;
+        });
+    } finally {
+        database.exec('DETACH DATABASE snapshot');
+    }
+}
+
+// True if the file is a readable SQLite database holding an inventory table
+function isHealthyDatabase(file) {
+    let database = null;
+    try {
+        database = new DatabaseSync(file, { readOnly: true });
+        const check = database.prepare('PRAGMA integrity_check').get();
+        const table = database.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'components'").get();
+        return Boolean(check && Object.values(check)[0] === 'ok' && table);
+    } catch (error) {
+        return false;
+    } finally {
+        if (database) database.close();
+    }
+}
+
+// Read the data rows of a workbook, skipping blank lines
+function readWorkbookRows(file) {
+    const wb = xlsx.readFile(file);
+    const ws = wb.Sheets[wb.SheetNames[0]];
+    const data = ws ? xlsx.utils.sheet_to_json(ws) : [];
+
+    return data.filter(item =>
+        (item['Component ID'] && item['Component ID'].toString().trim() !== '') ||
+        (item['Part No'] && item['Part No'].toString().trim() !== '')
+    );
+}
+
+// One-time import of an existing inventory workbook into an empty store.
+// Rows without a Component ID (or with a repeated one) get a fresh CMP number.
+function migrateFromWorkbook(file, generateComponentId) {
+    if (getMeta('migrated_from') !== null) return { migrated: false, count: 0 };
+
+    const hasRows = getDb().prepare('SELECT 1 FROM components LIMIT 1').get();
+    if (hasRows || !fs.existsSync(file)) {
+        setMeta('migrated_from', hasRows ? 'existing-store' : 'none');
+        return { migrated: false, count: 0 };
+    }
+
+    const rows = readWorkbookRows(file);
+    const imported = [];
+    const seen = new Set();
+
+    for (const row of rows) {
+        const componentId = toKey(row['Component ID']);
+        if (!componentId || seen.has(componentId.trim())) {
+            row['Component ID'] = generateComponentId([...rows, ...imported]);
+        }
+        row['Component ID'] = row['Component ID'].toString().trim();
+        seen.add(row['Component ID']);
+        imported.push(row);
+    }
+
+    transaction(() => {
+        saveAll(imported);
+        setMeta('migrated_from', file);
+        setMeta('migrated_at', new Date().toISOString());
+    });
+
+    return { migrated: true, count: imported.length };
+}
+
+// Write a file via a temp file and rename, so readers (and a crash
+// mid-write) only ever see the old or the new contents, never a partial file
+function writeFileAtomicSync(file, contents) {
+    const tempFile = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+        fs.writeFileSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    try {
+        fs.renameSync(tempFile, file);
+    } catch (error) {
+        fs.rmSync(tempFile, { force: true });
+        throw error;
+    }
+}
+
+// Write the whole inventory out as a workbook (the store stays the source of truth).
+// Nested values such as the approval trail are written as JSON text.
+function exportWorkbook(file, items = loadAll()) {
+    const rows = items.map(item => Object.fromEntries(Object.entries(item).map(([key, value]) =>
+        [key, value !== null && typeof value === 'object' ? JSON.stringify(value) : value])));
+    const wb = xlsx.utils.book_new();
+    const ws = xlsx.utils.json_to_sheet(rows);
+    xlsx.utils.book_append_sheet(wb, ws, "Inventory");
+    writeFileAtomicSync(file, xlsx.write(wb, { type: 'buffer', bookType: 'xlsx' }));
+}
+
+module.exports = {
+    openStore,
+    getDb,
+    transaction,
+    getMeta,
+    setMeta,
+    loadAll,
+    saveAll,
+    appendAudit,
+    queryAudit,
+    revokeSession,
+    isSessionRevoked,
+    revokeUserSessions,
+    userSessionCutoff,
+    getLoginFailures,
+    setLoginFailures,
+    clearLoginFailures,
+    appendLoginAttempt,
+    queryLoginAttempts,
+    addDocument,
+    listDocuments,
+    renameDocument,
+    removeDocument,
+    documentUsage,
+    snapshotTo,
+    restoreComponentsFrom,
+    isHealthyDatabase,
+    readWorkbookRows,
+    writeFileAtomicSync,
+    migrateFromWorkbook,
+    exportWorkbook
+};
@@ -0,0 +1,353 @@
+const lifecycle = require('./lifecycle');
+const stockLedger = require('./stock_ledger');
+
+// Serial-number and lot traceability, derived from the inventory rows.
+// A storage line may carry the lot it was delivered in ("Lot No") and the serial
+// number of every unit it brings in ("Unit Serials", one per unit). The store
+// keeper names the units handed over when an issue line is marked Issued, and
+// a return names the units that came back. A unit is a Part No + serial; its
+// chain runs from the receipt (supply order, lot) through every issue (ION,
+// FM / EM, subsystem) and return. Functions throw an Error with an HTTP
+// `status` on bad input.
+
+const IN_STORE = 'In Store';
+const INCOMING = 'Incoming';
+const ISSUED = 'Issued';
+
+function traceError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function text(value) {
+    return value === undefined || value === null ? '' : value.toString().trim();
+}
+
+function sameText(a, b) {
+    return text(a).toUpperCase() === text(b).toUpperCase();
+}
+
+// A list of serial numbers from an array or a comma, semicolon or newline
+// separated string. A serial listed twice throws with status 400.
+function parseSerials(value) {
+    const list = Array.isArray(value) ? value : text(value).split(/[,;\r\n]+/);
+    const serials = list.map(text).filter(Boolean);
+    const repeated = serials.find((serial, index) => serials.findIndex(other => sameText(other, serial)) !== index);
+    if (repeated) {
+        throw traceError(`Serial ${repeated} is listed more than once`, 400);
+    }
+    return serials;
+}
+
+function serialsOf(item) {
+    return Array.isArray(item['Unit Serials']) ? item['Unit Serials'] : [];
+}
+
+function unitKey(item, serial) {
+    return `${stockLedger.partKey(item)}|${text(serial).toUpperCase()}`;
+}
+
+function rowType(item) {
+    if (item.Type === 'Stored Component') return 'storage';
+    if (item.Type === 'Returned Component') return 'return';
+    return 'issue';
+}
+
+// Rows that never hold units: cancelled and rejected requests
+function isVoid(item) {
+    return [lifecycle.CANCELLED, lifecycle.REJECTED].includes(lifecycle.stateOf(item));
+}
+
+// Every serialised unit: Map of unit key -> { partNo, serialNo, lotNo, receipt,
+// issues, returns, status, heldBy }. Rows are walked in the order they were
+// recorded; status is Incoming, In Store, Issued, Unserviceable or Scrapped and
+// heldBy the issue row a unit is out on. As in the stock ledger, a receipt's units
+// are only In Store once it is approved (or closed); before that they are Incoming.
+function buildUnits(data) {
+    const units = new Map();
+
+    for (const item of data) {
+        const type = rowType(item);
+        if (type !== 'return' && isVoid(item)) continue;
+
+        for (const serial of serialsOf(item)) {
+            const key = unitKey(item, serial);
+            if (type === 'storage') {
+                if (units.has(key)) continue;
+                units.set(key, {
+                    partNo: text(item['Part No']),
+                    serialNo: text(serial),
+                    lotNo: text(item['Lot No']) || null,
+                    receipt: item,
+                    issues: [],
+                    returns: [],
+                    status: stockLedger.entryKind(item) === 'receipt' ? IN_STORE : INCOMING,
+                    heldBy: null
+                });
+                continue;
+            }
+
+            const unit = units.get(key);
+            if (!unit) continue;
+            if (type === 'issue') {
+                unit.issues.push(item);
+                unit.status = ISSUED;
+                unit.heldBy = item;
+            } else {
+                unit.returns.push(item);
+                const condition = text(item['Condition']);
+                unit.status = !condition || condition.toLowerCase() === 'serviceable' ? IN_STORE : condition;
+                unit.heldBy = null;
+            }
+        }
+    }
+
+    return units;
+}
+
+// Check storage rows about to be saved: a line with serials needs one per unit,
+// and no serial of a part may be received twice. `data` is the inventory
+// without the rows being checked.
+function checkReceipts(data, items) {
+    const units = buildUnits(data);
+
+    for (const item of items) {
+        const serials = serialsOf(item);
+        if (serials.length === 0) continue;
+
+        const quantity = stockLedger.quantityOf(item);
+        if (serials.length !== quantity) {
+            throw traceError(`${item['Part No']} (${item['Component ID']}) brings in ${quantity} unit(s) but lists ${serials.length} serial(s); give one per unit`, 400);
+        }
+        for (const serial of serials) {
+            const existing = units.get(unitKey(item, serial));
+            if (existing) {
+                throw traceError(`Serial ${serial} of ${item['Part No']} was already received under ${existing.receipt['Storage No'] || existing.receipt['Component ID']}`, 409);
+            }
+        }
+        serials.forEach(serial => units.set(unitKey(item, serial), { receipt: item }));
+    }
+}
+
+// Serials received on `items` that have since gone out on an issue
+function issuedSerials(data, items) {
+    const units = buildUnits(data);
+    return items.flatMap(item => serialsOf(item)
+        .filter(serial => {
+            const unit = units.get(unitKey(item, serial));
+            return unit && unit.receipt === item && unit.issues.length > 0;
+        }));
+}
+
+// Lots received for a part, from storage rows that still count: Map of
+// upper-cased Lot No -> Lot No as received
+function lotsOf(data, item) {
+    return new Map(data
+        .filter(row => rowType(row) === 'storage' && !isVoid(row) && text(row['Lot No']) &&
+            stockLedger.partKey(row) === stockLedger.partKey(item))
+        .map(row => [text(row['Lot No']).toUpperCase(), text(row['Lot No'])]));
+}
+
+// Units of an issue line handed over: { serials, lotNo } checked against what is
+// in store. A part with serialised units in store must name as many as the line
+// hands over, up to the number in store. Returns the values to record on the row:
+// { 'Unit Serials', 'Lot No' }.
+function checkHandover(data, item, handover = {}) {
+    const serials = parseSerials(handover.serials);
+    const units = buildUnits(data);
+    const quantity = stockLedger.quantityOf(item);
+    const label = `${item['Part No']} (${item['Component ID']})`;
+
+    const inStore = [...units.values()].filter(unit => unit.status === IN_STORE &&
+        stockLedger.partKey({ 'Part No': unit.partNo }) === stockLedger.partKey(item));
+    const needed = Math.min(quantity, inStore.length);
+    if (serials.length > quantity) {
+        throw traceError(`${label} hands over ${quantity} unit(s) but lists ${serials.length} serial(s)`, 400);
+    }
+    if (serials.length < needed) {
+        throw traceError(`${label} is serial-tracked: name the ${needed} unit(s) handed over (in store: ${inStore.map(unit => unit.serialNo).join(', ')})`, 400);
+    }
+
+    const lots = new Set();
+    for (const serial of serials) {
+        const unit = units.get(unitKey(item, serial));
+        if (!unit) {
+            throw traceError(`Serial ${serial} of ${item['Part No']} was never received`, 400);
+        }
+        if (unit.status !== IN_STORE) {
+            const where = unit.heldBy ? ` under ${unit.heldBy['Issue No'] || unit.heldBy['Component ID']}` : '';
+            throw traceError(`Serial ${serial} of ${item['Part No']} is not in store (${unit.status}${where})`, 409);
+        }
+        if (unit.lotNo) lots.add(unit.lotNo);
+    }
+
+    const given = text(handover.lotNo);
+    const lotNo = given && lotsOf(data, item).get(given.toUpperCase());
+    if (given) {
+        if (!lotNo) {
+            throw traceError(`Lot ${given} of ${item['Part No']} was never received`, 400);
+        }
+        if ([...lots].some(lot => !sameText(lot, lotNo))) {
+            throw traceError(`Not every unit of ${label} is from lot ${lotNo}`, 400);
+        }
+    }
+
+    return { 'Unit Serials': serials, 'Lot No': lotNo || [...lots].join(', ') || null };
+}
+
+// Serials of a return line: every unit coming back must be out on the issued
+// row `original`, and a serialised issue must name one per returned unit
+function checkReturn(data, original, serialsValue, quantity) {
+    const serials = parseSerials(serialsValue);
+    const issued = serialsOf(original);
+    const label = `component ${original['Component ID']}`;
+
+    if (issued.length === 0) {
+        if (serials.length > 0) throw traceError(`No serials were recorded when ${label} was issued`, 400);
+        return serials;
+    }
+    if (serials.length !== quantity) {
+        throw traceError(`${label} was issued by serial: name the ${quantity} unit(s) returned`, 400);
+    }
+
+    const units = buildUnits(data);
+    for (const serial of serials) {
+        const unit = units.get(unitKey(original, serial));
+        if (!issued.some(value => sameText(value, serial)) || !unit || unit.heldBy !== original) {
+            throw traceError(`Serial ${serial} is not out on ${label}`, 409);
+        }
+    }
+    return serials;
+}
+
+function describeReceipt(item) {
+    return {
+        componentId: item['Component ID'],
+        storageNo: item['Storage No'] || null,
+        storageDate: item['Storage Date'] || null,
+        soNo: item['SO Number'] || item['SO No'] || null,
+        lotNo: item['Lot No'] || null,
+        quantity: stockLedger.quantityOf(item),
+        state: lifecycle.stateOf(item),
+        location: item['Location'] || null,
+        receivedBy: item['Submitted By'] || null
+    };
+}
+
+function describeIssue(item) {
+    return {
+        componentId: item['Component ID'],
+        issueNo: item['Issue No'] || null,
+        issueDate: item['Issue Date'] || null,
+        issueFor: item['Issue For'] || null,
+        subSystem: item['Sub System'] || null,
+        requestText: item['Request Text'] || null,
+        issuedTo: item['Issued To'] || null,
+        collectedBy: item['Collected By'] || null,
+        lotNo: item['Lot No'] || null,
+        serials: serialsOf(item),
+        quantity: stockLedger.quantityOf(item),
+        state: lifecycle.stateOf(item)
+    };
+}
+
+function describeReturn(item) {
+    return {
+        componentId: item['Component ID'],
+        returnNo: item['Return No'] || null,
+        returnDate: item['Return Date'] || null,
+        returnedFromIon: item['Returned From ION'] || null,
+        condition: item['Condition'] || null,
+        serials: serialsOf(item),
+        quantity: stockLedger.quantityOf(item),
+        receivedBy: item['Received By'] || null,
+        location: item['Location'] || null
+    };
+}
+
+// Full chain for a serial, a lot and / or a Part No (every given criterion must
+// match): { units, lots }. units lists each serialised unit with its receipt,
+// issues, returns and status; lots each lot with the rows that received, issued
+// and returned it, including lot-only (unserialised) lines. Rows `canView` rejects
+// are left out, and so are units and lots with no rows left.
+function trace(data, query = {}, canView = () => true) {
+    const serial = text(query.serial);
+    const lot = text(query.lot);
+    const partNo = text(query.partNo);
+    if (!serial && !lot && !partNo) {
+        throw traceError("Give a serial, lot or Part No to trace", 400);
+    }
+    const partMatches = item => !partNo || stockLedger.partKey(item) === stockLedger.partKey({ 'Part No': partNo });
+
+    const units = [...buildUnits(data).values()]
+        .filter(unit => (!serial || sameText(unit.serialNo, serial)) && (!lot || sameText(unit.lotNo, lot)) &&
+            partMatches({ 'Part No': unit.partNo }))
+        .filter(unit => canView(unit.receipt))
+        .map(unit => {
+            const lastReturn = unit.returns[unit.returns.length - 1];
+            const kept = unit.status === IN_STORE ? (lastReturn && lastReturn['Location']) || unit.receipt['Location'] : null;
+            return {
+                partNo: unit.partNo,
+                serialNo: unit.serialNo,
+                lotNo: unit.lotNo,
+                status: unit.status,
+                location: kept || null,
+                heldBy: unit.heldBy ? unit.heldBy['Issue No'] || unit.heldBy['Component ID'] : null,
+                receipt: describeReceipt(unit.receipt),
+                issues: unit.issues.filter(canView).map(describeIssue),
+                returns: unit.returns.filter(canView).map(describeReturn)
+            };
+        });
+
+    // Lots: the receipts that brought each one in, and the issue and return rows
+    // that name it (or hold one of its units)
+    const lots = new Map();
+    data.filter(item => rowType(item) === 'storage' && !isVoid(item) && text(item['Lot No']) && partMatches(item))
+        .filter(item => !lot || sameText(item['Lot No'], lot))
+        .forEach(item => {
+            const key = `${stockLedger.partKey(item)}|${text(item['Lot No']).toUpperCase()}`;
+            if (!lots.has(key)) lots.set(key, { partNo: text(item['Part No']), lotNo: text(item['Lot No']), rows: [] });
+            lots.get(key).rows.push(item);
+        });
+    if (serial) {
+        const lotKeys = new Set(units.filter(unit => unit.lotNo).map(unit => `${stockLedger.partKey({ 'Part No': unit.partNo })}|${unit.lotNo.toUpperCase()}`));
+        [...lots.keys()].filter(key => !lotKeys.has(key)).forEach(key => lots.delete(key));
+    }
+
+    const lotSerials = new Map();
+    for (const unit of buildUnits(data).values()) {
+        if (unit.lotNo) lotSerials.set(unitKey({ 'Part No': unit.partNo }, unit.serialNo), unit.lotNo.toUpperCase());
+    }
+    const namesLot = (item, lotNo) =>
+        text(item['Lot No']).toUpperCase().split(/\s*,\s*/).includes(lotNo.toUpperCase()) ||
+        serialsOf(item).some(value => lotSerials.get(unitKey(item, value)) === lotNo.toUpperCase());
+
+    const lotList = [...lots.values()].map(entry => {
+        const key = stockLedger.partKey({ 'Part No': entry.partNo });
+        const related = data.filter(item => stockLedger.partKey(item) === key && namesLot(item, entry.lotNo) && canView(item));
+        const receipts = entry.rows.filter(canView);
+        return {
+            partNo: entry.partNo,
+            lotNo: entry.lotNo,
+            received: receipts.reduce((sum, item) => sum + stockLedger.quantityOf(item), 0),
+            receipts: receipts.map(describeReceipt),
+            issues: related.filter(item => rowType(item) === 'issue' && !isVoid(item)).map(describeIssue),
+            returns: related.filter(item => rowType(item) === 'return').map(describeReturn)
+        };
+    }).filter(entry => entry.receipts.length > 0);
+
+    return { units, lots: lotList };
+}
+
+module.exports = {
+    IN_STORE,
+    parseSerials,
+    serialsOf,
+    buildUnits,
+    checkReceipts,
+    issuedSerials,
+    checkHandover,
+    checkReturn,
+    trace
+};
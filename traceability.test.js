@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const traceability = require('./traceability');
+
+// Run with: node --test
+
+function receipt(status) {
+    return {
+        'Component ID': 'CMP-1',
+        Type: 'Stored Component',
+        'Storage No': 'ST-1',
+        'Part No': 'P-100',
+        'Storage Quantity': 1,
+        'Unit Serials': ['S1'],
+        Status: status
+    };
+}
+
+const issue = {
+    'Component ID': 'CMP-2',
+    Type: 'Issued Component',
+    'Issue No': 'ION-1',
+    'Part No': 'P-100',
+    'Total Quantity': 1,
+    Status: 'Approved'
+};
+
+test('units of a receipt returned for clarification are incoming, not in store', () => {
+    const units = traceability.buildUnits([receipt('Returned for Clarification')]);
+    assert.strictEqual(units.get('P-100|S1').status, 'Incoming');
+});
+
+test('units are in store only once their receipt is approved or closed', () => {
+    for (const [status, expected] of [['Draft', 'Incoming'], ['Submitted', 'Incoming'], ['Approved', 'In Store'], ['Closed', 'In Store']]) {
+        assert.strictEqual(traceability.buildUnits([receipt(status)]).get('P-100|S1').status, expected, status);
+    }
+});
+
+test('a handover can not name a unit of a receipt returned for clarification', () => {
+    const data = [receipt('Returned for Clarification')];
+    assert.throws(() => traceability.checkHandover(data, issue, { serials: ['S1'] }), error => error.status === 409);
+    assert.doesNotThrow(() => traceability.checkHandover(data, issue, {}));
+});